@@ -0,0 +1,14 @@
+// Numeric settings from the environment. A missing, empty or unreadable value
+// gives `fallback`, so an explicit 0 is kept; a number outside [min, max]
+// stops startup rather than running with a setting nobody asked for.
+const envNumber = (name, fallback, { min = -Infinity, max = Infinity } = {}) => {
+  const value = parseFloat(process.env[name]);
+  if (!Number.isFinite(value)) return fallback;
+
+  if (value < min || value > max) {
+    throw new Error(`${name} must be between ${min} and ${max}, got ${value}`);
+  }
+  return value;
+};
+
+module.exports = { envNumber };
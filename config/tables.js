@@ -0,0 +1,122 @@
+// Game table definitions. Each table runs its own round loop and Socket.IO room.
+// Override with a JSON array in GAME_TABLES, e.g.
+// [{"id":"low-stakes","minBet":1,"maxBet":100,"bettingWindow":3000,"houseEdge":0.01,"maxCrash":20,
+//   "curve":{"type":"polynomial","coefficients":[0.05,0.01]}}]
+// Curve types are listed in services/MultiplierCurve.js; houseEdge is explained
+// in services/CrashPoint.js. Times are in ms: `intermission` between rounds and
+// `tickInterval` between multiplier updates. The settings in
+// `adjustableSettings` can be changed at runtime through the admin API.
+
+const { DEFAULT_HOUSE_EDGE } = require('../services/CrashPoint');
+
+const defaultCurve = { type: process.env.MULTIPLIER_CURVE || 'exponential' };
+const defaultIntermission = parseInt(process.env.ROUND_INTERMISSION) || 3000;
+const defaultTickInterval = parseInt(process.env.MULTIPLIER_UPDATE_INTERVAL) || 100;
+
+const defaultTables = [
+  {
+    id: 'low-stakes',
+    name: 'Low Stakes',
+    minBet: 1,
+    maxBet: 100,
+    bettingWindow: 3000,
+    intermission: defaultIntermission,
+    tickInterval: defaultTickInterval,
+    houseEdge: DEFAULT_HOUSE_EDGE,
+    maxCrash: 20,
+    curve: defaultCurve
+  },
+  {
+    id: 'high-roller',
+    name: 'High Roller',
+    minBet: 100,
+    maxBet: 10000,
+    bettingWindow: 5000,
+    intermission: defaultIntermission,
+    tickInterval: defaultTickInterval,
+    houseEdge: DEFAULT_HOUSE_EDGE,
+    maxCrash: parseFloat(process.env.MAX_CRASH_MULTIPLIER) || 120,
+    curve: { type: 'exponential', k: 0.08 }
+  }
+];
+
+const loadTables = () => {
+  if (!process.env.GAME_TABLES) return defaultTables;
+
+  const parsed = JSON.parse(process.env.GAME_TABLES);
+  return parsed.map(table => ({
+    name: table.id,
+    minBet: 1,
+    maxBet: 1000,
+    bettingWindow: 3000,
+    intermission: defaultIntermission,
+    tickInterval: defaultTickInterval,
+    houseEdge: DEFAULT_HOUSE_EDGE,
+    maxCrash: 120,
+    curve: defaultCurve,
+    ...table
+  }));
+};
+
+const tables = loadTables();
+const defaultTableId = process.env.DEFAULT_TABLE || tables[0].id;
+
+const getTable = (tableId) => tables.find(t => t.id === (tableId || defaultTableId)) || null;
+
+// Settings admins may change while the server runs, and the range of each.
+// The crash distribution takes its house edge and upper bound from here; its
+// lower bound is always 1.00x, where the edge's share of rounds crash.
+const adjustableSettings = {
+  bettingWindow: { min: 1000, max: 60000, integer: true },
+  intermission: { min: 1000, max: 60000, integer: true },
+  tickInterval: { min: 20, max: 1000, integer: true },
+  minBet: { min: 0.01, max: 1000000 },
+  maxBet: { min: 0.01, max: 1000000 },
+  maxCrash: { min: 1.01, max: 1000000 },
+  houseEdge: { min: 0, max: 0.99 }
+};
+
+// The adjustable settings present on `source`, e.g. a saved GameConfig
+const pickSettings = (source) => {
+  const settings = {};
+  for (const key of Object.keys(adjustableSettings)) {
+    if (source[key] !== undefined && source[key] !== null) settings[key] = source[key];
+  }
+  return settings;
+};
+
+const settingsError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Check `changes` against `adjustableSettings` and the table they would apply
+// to. Returns the changes as numbers, or throws an error with statusCode 400.
+const validateSettings = (table, changes) => {
+  const settings = {};
+  for (const [key, value] of Object.entries(changes || {})) {
+    const rule = adjustableSettings[key];
+    if (!rule) {
+      throw settingsError(`Unknown setting: ${key}`);
+    }
+
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!(number >= rule.min && number <= rule.max) || (rule.integer && !Number.isInteger(number))) {
+      throw settingsError(`${key} must be ${rule.integer ? 'a whole number ' : ''}between ${rule.min} and ${rule.max}`);
+    }
+    settings[key] = number;
+  }
+
+  if (Object.keys(settings).length === 0) {
+    throw settingsError('No settings to change');
+  }
+
+  const merged = { ...table, ...settings };
+  if (merged.minBet >= merged.maxBet) {
+    throw settingsError('minBet must be below maxBet');
+  }
+  return settings;
+};
+
+module.exports = { tables, defaultTableId, getTable, adjustableSettings, pickSettings, validateSettings };
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// Admin endpoints require `Authorization: Bearer <ADMIN_API_KEY>`. Without a
+// configured key the admin API is disabled.
+const adminAuth = (req, res, next) => {
+  const apiKey = process.env.ADMIN_API_KEY;
+  if (!apiKey) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const header = req.get('Authorization') || '';
+  const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(apiKey);
+
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    logger.warn(`Rejected admin request: ${req.method} ${req.originalUrl} - ${req.ip}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
@@ -0,0 +1,58 @@
+const Idempotency = require('../services/Idempotency');
+const logger = require('../config/logger');
+
+// Makes a money route safe to retry. With an `Idempotency-Key` header the
+// route's first success or client error is stored, and a request repeating
+// the key gets that response again, marked `Idempotent-Replayed: true`,
+// without the route running. Requests without the header run as usual.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  const options = {
+    key,
+    scope: `${req.method} ${req.baseUrl}${req.path}`,
+    playerId: typeof req.body?.playerId === 'string' ? req.body.playerId : undefined,
+    request: req.body
+  };
+
+  let stored;
+  try {
+    stored = await Idempotency.claim(options);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error claiming idempotency key:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  if (stored) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(stored.statusCode).json(stored.body);
+  }
+
+  // Store the response before sending it, so a retry that arrives as soon as
+  // the client has it gets the replay rather than "in progress"
+  let completed = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) return json(body);
+
+    completed = true;
+    Idempotency.complete(options, { statusCode: res.statusCode, body }).then(() => json(body));
+    return res;
+  };
+
+  // A server error, or a response sent some other way (an error passed to
+  // next, `res.send`), leaves nothing to replay; free the key for a retry.
+  // A route sets `res.locals.outcomeUnknown` when the request may still have
+  // moved funds, which keeps the key in progress instead.
+  res.on('close', () => {
+    if (!completed && !res.locals.outcomeUnknown) Idempotency.release(options);
+  });
+
+  next();
+};
+
+module.exports = idempotency;
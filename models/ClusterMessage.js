@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Message between server instances. The collection is capped so every
+// instance can tail it; old messages fall off the end on their own.
+const clusterMessageSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['event', 'command', 'reply'],
+    required: true
+  },
+  // Instance that sent the message
+  origin: {
+    type: String,
+    required: true
+  },
+  // Instance the message is for; events go to every instance
+  target: String,
+  // Relayed socket event
+  room: String,
+  event: String,
+  data: mongoose.Schema.Types.Mixed,
+  // Event from any instance, not just the leader, such as a withdrawal update
+  anyInstance: Boolean,
+  // Forwarded game command and its reply
+  commandId: String,
+  tableId: String,
+  action: String,
+  args: mongoose.Schema.Types.Mixed,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  statusCode: Number
+}, {
+  capped: {
+    size: parseInt(process.env.CLUSTER_BUS_SIZE) || 16 * 1024 * 1024,
+    max: 10000
+  }
+});
+
+module.exports = mongoose.model('ClusterMessage', clusterMessageSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Runtime settings of one table, set through the admin API. Fields left unset
+// keep the table's value from config/tables.js.
+const gameConfigSchema = new mongoose.Schema({
+  tableId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  bettingWindow: Number,
+  intermission: Number,
+  tickInterval: Number,
+  minBet: Number,
+  maxBet: Number,
+  maxCrash: Number,
+  houseEdge: Number
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('GameConfig', gameConfigSchema);
@@ -1,6 +1,79 @@
 const mongoose = require('mongoose');
+const { unitsField } = require('../services/Units');
+
+// One (possibly partial) cashout of a bet
+const settlementSchema = new mongoose.Schema({
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Part of the bet's stake this settlement closed, in base units
+  stakeCryptoAmount: unitsField({ required: true }),
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  payout: {
+    cryptoAmount: unitsField(),
+    usdAmount: Number
+  },
+  auto: {
+    type: Boolean,
+    default: false
+  },
+  // Paid at the round's exposure cap rather than the player's choice
+  capped: {
+    type: Boolean,
+    default: false
+  },
+  settledAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Timing of a manual cashout request, kept whether or not it was honoured
+const cashoutAttemptSchema = new mongoose.Schema({
+  // Press time as reported by the client, in server time
+  clientTime: Date,
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+  // Measured round trip of the player's connection (ms)
+  latency: Number,
+  // How far before receipt the press may be placed (ms)
+  allowance: Number,
+  // Time the cashout was judged at: clientTime clamped to the allowance
+  adjustedTime: {
+    type: Date,
+    required: true
+  },
+  // Seconds into the round at adjustedTime
+  elapsed: Number,
+  multiplier: Number,
+  percentage: Number,
+  accepted: {
+    type: Boolean,
+    required: true
+  },
+  reason: String
+}, { _id: false });
 
 const betSchema = new mongoose.Schema({
+  betId: {
+    type: String,
+    required: true
+  },
+  // Bet panel the bet was placed from; a player holds at most one bet per slot
+  slot: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  },
   playerId: {
     type: String,
     required: true
@@ -10,11 +83,8 @@ const betSchema = new mongoose.Schema({
     required: true,
     min: 0.01
   },
-  cryptoAmount: {
-    type: Number,
-    required: true,
-    min: 0
-  },
+  // Stake in base units
+  cryptoAmount: unitsField({ required: true }),
   cryptocurrency: {
     type: String,
     required: true,
@@ -25,18 +95,32 @@ const betSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  autoCashoutAt: {
+    type: Number,
+    min: 1
+  },
+  clientSeed: String,
+  // True once the whole stake has been settled
   cashedOut: {
     type: Boolean,
     default: false
   },
+  // Stake returned because the round was voided
+  refunded: {
+    type: Boolean,
+    default: false
+  },
   cashoutMultiplier: {
     type: Number,
     min: 1
   },
+  // Totals across all settlements; cashoutMultiplier is the latest one
   payout: {
-    cryptoAmount: Number,
+    cryptoAmount: unitsField(),
     usdAmount: Number
   },
+  settlements: [settlementSchema],
+  cashoutAttempts: [cashoutAttemptSchema],
   transactionHash: String
 });
 
@@ -44,7 +128,11 @@ const gameRoundSchema = new mongoose.Schema({
   roundId: {
     type: String,
     required: true,
-    unique: true,
+    unique: true
+  },
+  tableId: {
+    type: String,
+    required: true,
     index: true
   },
   startTime: {
@@ -52,11 +140,22 @@ const gameRoundSchema = new mongoose.Schema({
     required: true
   },
   endTime: Date,
+  // Set when betting closes, once the client seeds are known
   crashPoint: {
     type: Number,
-    required: true,
     min: 1
   },
+  // Distribution the crash point was drawn from, so it can be re-derived
+  // after the table config changes
+  houseEdge: Number,
+  maxCrash: Number,
+  // Most the round may pay out per cryptocurrency in base units, from the
+  // bankroll at betting close
+  exposureCaps: {
+    BTC: unitsField(),
+    ETH: unitsField(),
+    USDT: unitsField()
+  },
   seed: {
     type: String,
     required: true
@@ -65,12 +164,20 @@ const gameRoundSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Position of the seed in the table's hash chain
+  chainId: String,
+  chainIndex: Number,
+  // Client seeds of the round's bettors, their combined hash and the nonce
+  clientSeeds: [String],
+  clientSeed: String,
+  nonce: Number,
   bets: [betSchema],
   status: {
     type: String,
-    enum: ['waiting', 'active', 'crashed', 'completed'],
+    enum: ['waiting', 'active', 'crashed', 'completed', 'voided'],
     default: 'waiting'
   },
+  voidReason: String,
   maxMultiplier: {
     type: Number,
     default: 1
@@ -80,9 +187,10 @@ const gameRoundSchema = new mongoose.Schema({
 });
 
 // Indexes for better performance
-gameRoundSchema.index({ roundId: 1 });
 gameRoundSchema.index({ startTime: -1 });
 gameRoundSchema.index({ status: 1 });
+gameRoundSchema.index({ tableId: 1, status: 1, createdAt: -1 });
 gameRoundSchema.index({ 'bets.playerId': 1 });
+gameRoundSchema.index({ chainId: 1, chainIndex: 1 });
 
 module.exports = mongoose.model('GameRound', gameRoundSchema);
\ No newline at end of file
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { unitsField } = require('../services/Units');
+
+// The house's funds in one cryptocurrency. Stakes are added when a bet is
+// placed; cashouts and refunds are taken out.
+const houseBankrollSchema = new mongoose.Schema({
+  cryptocurrency: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['BTC', 'ETH', 'USDT']
+  },
+  // In base units. May go negative if a round pays out more than the house holds
+  balance: unitsField({ required: true, default: 0n }),
+  totalWagered: unitsField({ default: 0n }),
+  totalPaidOut: unitsField({ default: 0n }),
+  totalRefunded: unitsField({ default: 0n })
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('HouseBankroll', houseBankrollSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Seconds a key is remembered; a retry after that runs as a new request
+const TTL = parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60;
+
+// A client-chosen key for one money request (an `Idempotency-Key` header or
+// a socket command's `requestId`) and the response it got, so a retried
+// request gets the same response instead of running again
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  // Route or socket command the key was used on, e.g. `POST /api/wallet/deposit`
+  scope: {
+    type: String,
+    required: true
+  },
+  playerId: String,
+  // Hash of the request the key was first used with
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // `pending` while the first request runs
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  response: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Keys are per player and scope, so clients only need them unique per player
+idempotencyKeySchema.index({ scope: 1, playerId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: TTL });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A named lease held by one server instance at a time. The holder renews it
+// before `expiresAt`; once it lapses any instance may take it over.
+const leaderLeaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  holder: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LeaderLease', leaderLeaseSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { unitsField } = require('../services/Units');
+
+// One side of a ledger posting. Every movement of funds posts two entries
+// with opposite amounts, taking from one account and giving to another, so
+// the ledger always sums to zero per currency. Entries are only ever inserted.
+const ledgerEntrySchema = new mongoose.Schema({
+  // Shared by the two entries of one posting
+  postingId: {
+    type: String,
+    required: true
+  },
+  // `player:<playerId>` (wallet), `player:<playerId>:held` (queued stakes),
+  // `house`, `external` (deposits and withdrawals) or `promotions` (bonuses)
+  account: {
+    type: String,
+    required: true
+  },
+  // The other side of the posting
+  counterparty: {
+    type: String,
+    required: true
+  },
+  // Owner of a player account
+  playerId: String,
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal', 'bet', 'cashout', 'refund', 'bonus', 'hold', 'release', 'opening'],
+    required: true
+  },
+  cryptocurrency: {
+    type: String,
+    required: true,
+    enum: ['BTC', 'ETH', 'USDT']
+  },
+  // In base units; positive when the account receives funds
+  amount: unitsField({ required: true }),
+  // Running balance of a player account after this entry, as stored on the player
+  balanceAfter: unitsField(),
+  transactionId: String,
+  roundId: String,
+  betId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+ledgerEntrySchema.index({ postingId: 1 });
+ledgerEntrySchema.index({ playerId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ account: 1, cryptocurrency: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
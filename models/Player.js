@@ -1,11 +1,12 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { unitsField } = require('../services/Units');
 
 const playerSchema = new mongoose.Schema({
   playerId: {
     type: String,
     required: true,
-    unique: true,
-    index: true
+    unique: true
   },
   username: {
     type: String,
@@ -13,22 +14,26 @@ const playerSchema = new mongoose.Schema({
     trim: true,
     maxlength: 50
   },
+  // Balances in base units (satoshis, wei, USDT micro-units)
   wallet: {
-    BTC: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    ETH: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    USDT: {
-      type: Number,
-      default: 1000, // Starting balance
-      min: 0
-    }
+    BTC: unitsField({ default: 0n }),
+    ETH: unitsField({ default: 0n }),
+    USDT: unitsField({ default: 1000000000n }) // Starting balance of 1000 USDT
+  },
+  // Stakes of bets queued for the next round and withdrawals awaiting payout,
+  // already taken out of the wallet
+  heldFunds: {
+    BTC: unitsField({ default: 0n }),
+    ETH: unitsField({ default: 0n }),
+    USDT: unitsField({ default: 0n })
+  },
+  // Mixed into the crash point of every round the player bets in
+  clientSeed: {
+    type: String,
+    trim: true,
+    minlength: 1,
+    maxlength: 64,
+    default: () => crypto.randomBytes(16).toString('hex')
   },
   totalGamesPlayed: {
     type: Number,
@@ -51,7 +56,6 @@ const playerSchema = new mongoose.Schema({
 });
 
 // Indexes for better performance
-playerSchema.index({ playerId: 1 });
 playerSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('Player', playerSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { unitsField } = require('../services/Units');
+
+// A bet placed while betting was closed. Its stake is held in the player's
+// wallet until the next round opens or the player cancels it.
+const queuedBetSchema = new mongoose.Schema({
+  queueId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true
+  },
+  tableId: {
+    type: String,
+    required: true
+  },
+  slot: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  },
+  usdAmount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Stake in base units
+  cryptoAmount: unitsField({ required: true }),
+  cryptocurrency: {
+    type: String,
+    required: true,
+    enum: ['BTC', 'ETH', 'USDT']
+  },
+  priceAtTime: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  autoCashoutAt: {
+    type: Number,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'placed', 'cancelled', 'failed'],
+    default: 'queued'
+  },
+  // Set once the bet joins a round
+  roundId: String,
+  betId: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+queuedBetSchema.index({ tableId: 1, status: 1, createdAt: 1 });
+queuedBetSchema.index({ playerId: 1, status: 1 });
+
+module.exports = mongoose.model('QueuedBet', queuedBetSchema);
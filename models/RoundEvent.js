@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One entry of a round's append-only event log. Events are only ever
+// inserted; replays and disputes read them back in `at` order.
+const roundEventSchema = new mongoose.Schema({
+  roundId: {
+    type: String,
+    required: true
+  },
+  tableId: {
+    type: String,
+    required: true
+  },
+  // Order in which the server recorded the event within the round
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'betting-opened',
+      'bet',
+      'game-started',
+      'cashout',
+      'cashout-rejected',
+      'exposure-limit',
+      'crash',
+      'voided'
+    ],
+    required: true
+  },
+  // When the event happened in the round. For cashouts this is the instant
+  // the curve reached the payout multiplier, not when it was processed.
+  at: {
+    type: Date,
+    required: true
+  },
+  // Crypto amounts in the data are base-unit strings
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+roundEventSchema.index({ roundId: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoundEvent', roundEventSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const seedChainSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tableId: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Hash the whole chain terminates in, published before any round is played
+  commitment: {
+    type: String,
+    required: true
+  },
+  // Last seed of the chain; every other seed is derived from it. Never exposed
+  // while the chain is active.
+  terminalSeed: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Chain position of the next round seed (1-based, seed 0 is the commitment)
+  nextIndex: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'exhausted', 'rotated'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+seedChainSchema.index({ tableId: 1, status: 1 });
+
+module.exports = mongoose.model('SeedChain', seedChainSchema);
@@ -1,11 +1,11 @@
 const mongoose = require('mongoose');
+const { unitsField } = require('../services/Units');
 
 const transactionSchema = new mongoose.Schema({
   transactionId: {
     type: String,
     required: true,
-    unique: true,
-    index: true
+    unique: true
   },
   playerId: {
     type: String,
@@ -16,19 +16,18 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  betId: String,
   type: {
     type: String,
-    enum: ['bet', 'cashout', 'deposit', 'withdrawal'],
+    enum: ['bet', 'cashout', 'deposit', 'withdrawal', 'refund'],
     required: true
   },
   usdAmount: {
     type: Number,
     required: true
   },
-  cryptoAmount: {
-    type: Number,
-    required: true
-  },
+  // In base units
+  cryptoAmount: unitsField({ required: true }),
   cryptocurrency: {
     type: String,
     required: true,
@@ -39,9 +38,10 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // A withdrawal only gets its hash once the payout is sent
   transactionHash: {
     type: String,
-    required: true
+    required: function () { return this.status === 'completed'; }
   },
   status: {
     type: String,
@@ -50,16 +50,15 @@ const transactionSchema = new mongoose.Schema({
   },
   multiplier: Number,
   balanceAfter: {
-    BTC: Number,
-    ETH: Number,
-    USDT: Number
+    BTC: unitsField(),
+    ETH: unitsField(),
+    USDT: unitsField()
   }
 }, {
   timestamps: true
 });
 
 // Indexes for better performance
-transactionSchema.index({ transactionId: 1 });
 transactionSchema.index({ playerId: 1, createdAt: -1 });
 transactionSchema.index({ roundId: 1 });
 transactionSchema.index({ type: 1 });
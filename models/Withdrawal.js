@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { unitsField } = require('../services/Units');
+
+// A player's request to take funds out. The amount is held in the player's
+// wallet from the request until the payout is sent, or released back if the
+// withdrawal is rejected or the payout fails.
+//
+// pending -> approved -> processing -> completed
+//    |                       |
+//    +-> rejected            +-> failed
+const withdrawalSchema = new mongoose.Schema({
+  withdrawalId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true
+  },
+  // In base units
+  cryptoAmount: unitsField({ required: true }),
+  cryptocurrency: {
+    type: String,
+    required: true,
+    enum: ['BTC', 'ETH', 'USDT']
+  },
+  usdAmount: {
+    type: Number,
+    required: true
+  },
+  priceAtTime: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Destination on the chain
+  address: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 128
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'processing', 'completed', 'rejected', 'failed'],
+    default: 'pending'
+  },
+  // Approved without review, being under the auto-approval threshold
+  autoApproved: {
+    type: Boolean,
+    default: false
+  },
+  // Why it was rejected or failed
+  reason: String,
+  // The `withdrawal` transaction that tracks the same funds
+  transactionId: {
+    type: String,
+    required: true
+  },
+  // Hash of the payout on the chain
+  txHash: String,
+  reviewedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+withdrawalSchema.index({ playerId: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
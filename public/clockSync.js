@@ -0,0 +1,40 @@
+// Server clock estimate from ping/pong: each pong gives one offset estimate,
+// and the sample with the shortest round trip is the most trustworthy. Used
+// by the web client and by the bots in scripts/BotSwarm.js.
+class ClockSync {
+    constructor() {
+        this.offset = 0; // serverTime - localTime
+        this.samples = [];
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    // A rough estimate from a server timestamp, until the first pong arrives
+    seed(serverTime) {
+        if (this.samples.length === 0 && serverTime) {
+            this.offset = serverTime - Date.now();
+        }
+    }
+
+    handlePong(data) {
+        if (!data || !data.clientTime || !data.serverTime) return;
+
+        const now = Date.now();
+        const rtt = now - data.clientTime;
+        const offset = data.serverTime + rtt / 2 - now;
+
+        this.samples.push({ rtt, offset });
+        if (this.samples.length > 10) this.samples.shift();
+
+        const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.offset = best.offset;
+    }
+
+    now() {
+        return Date.now() + this.offset;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = ClockSync;
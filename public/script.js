@@ -4,14 +4,21 @@ class CryptoCrashGame {
         this.isConnected = false;
         this.currentRound = null;
         this.playerData = null;
-        this.currentBet = null;
+        this.tableId = 'low-stakes';
+        this.table = null;
         this.gameState = 'waiting';
         this.multiplier = 1.00;
-        this.autoCashoutEnabled = false;
-        this.autoCashoutValue = 2.00;
+
+        // The multiplier is animated locally from the round start time and
+        // curve; the server only sends occasional sync ticks
+        this.roundClock = null; // { startedAt, curve } in server time
+        this.animationFrame = null;
+        this.clock = new ClockSync(); // Server time, estimated from ping/pong
+        this.pingInterval = null;
         
         this.initializeElements();
         this.attachEventListeners();
+        this.loadTables();
         this.loadGameHistory();
     }
 
@@ -20,20 +27,35 @@ class CryptoCrashGame {
         this.multiplierValue = document.getElementById('multiplierValue');
         this.gameStatus = document.getElementById('gameStatus');
         this.countdown = document.getElementById('countdown');
+        this.maintenanceBanner = document.getElementById('maintenanceBanner');
         this.crashAnimation = document.getElementById('crashAnimation');
         this.gameDisplay = document.querySelector('.game-display');
 
         // Control elements
-        this.betAmountInput = document.getElementById('betAmount');
-        this.cryptocurrencySelect = document.getElementById('cryptocurrency');
-        this.placeBetBtn = document.getElementById('placeBetBtn');
-        this.cashOutBtn = document.getElementById('cashOutBtn');
-        this.autoCashoutCheckbox = document.getElementById('autoCashout');
-        this.autoCashoutValueInput = document.getElementById('autoCashoutValue');
+        // One panel per bet slot; each holds an independent bet for the round
+        this.betPanels = [1, 2].map(slot => ({
+            slot,
+            bet: null,
+            queued: null,
+            autoCashoutEnabled: false,
+            autoCashoutValue: 2.00,
+            betAmountInput: document.getElementById(`betAmount${slot}`),
+            cryptocurrencySelect: document.getElementById(`cryptocurrency${slot}`),
+            placeBetBtn: document.getElementById(`placeBetBtn${slot}`),
+            cashOutBtn: document.getElementById(`cashOutBtn${slot}`),
+            halfCashOutBtn: document.getElementById(`halfCashOutBtn${slot}`),
+            cancelQueueBtn: document.getElementById(`cancelQueueBtn${slot}`),
+            autoCashoutCheckbox: document.getElementById(`autoCashout${slot}`),
+            autoCashoutValueInput: document.getElementById(`autoCashoutValue${slot}`)
+        }));
 
         // Player elements
         this.playerNameInput = document.getElementById('playerName');
         this.joinGameBtn = document.getElementById('joinGameBtn');
+        this.tableSelect = document.getElementById('tableSelect');
+        this.clientSeedInput = document.getElementById('clientSeed');
+        this.setClientSeedBtn = document.getElementById('setClientSeedBtn');
+        this.rotateSeedBtn = document.getElementById('rotateSeedBtn');
         this.connectionStatus = document.getElementById('connectionStatus');
 
         // Wallet elements
@@ -60,19 +82,11 @@ class CryptoCrashGame {
 
     attachEventListeners() {
         // Game controls
-        this.placeBetBtn.addEventListener('click', () => this.placeBet());
-        this.cashOutBtn.addEventListener('click', () => this.cashOut());
+        this.betPanels.forEach(panel => this.attachBetPanelListeners(panel));
         this.joinGameBtn.addEventListener('click', () => this.joinGame());
-
-        // Auto cashout
-        this.autoCashoutCheckbox.addEventListener('change', (e) => {
-            this.autoCashoutEnabled = e.target.checked;
-            this.autoCashoutValueInput.disabled = !e.target.checked;
-        });
-
-        this.autoCashoutValueInput.addEventListener('input', (e) => {
-            this.autoCashoutValue = parseFloat(e.target.value) || 2.00;
-        });
+        this.tableSelect.addEventListener('change', (e) => this.switchTable(e.target.value));
+        this.setClientSeedBtn.addEventListener('click', () => this.setClientSeed());
+        this.rotateSeedBtn.addEventListener('click', () => this.rotateSeed());
 
         // Wallet
         this.refreshWalletBtn.addEventListener('click', () => this.refreshWallet());
@@ -83,22 +97,45 @@ class CryptoCrashGame {
             this.crashModal.classList.remove('show');
         });
 
-        // Keyboard shortcuts
+        // Keyboard shortcuts: Space cashes out every open bet
         document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && this.gameState === 'active' && this.currentBet) {
+            if (e.code === 'Space' && this.gameState === 'active' && this.betPanels.some(p => p.bet)) {
                 e.preventDefault();
-                this.cashOut();
+                this.betPanels.forEach(panel => this.cashOut(panel));
             }
         });
+    }
+
+    attachBetPanelListeners(panel) {
+        panel.placeBetBtn.addEventListener('click', () => this.placeBet(panel));
+        panel.cashOutBtn.addEventListener('click', () => this.cashOut(panel));
+        panel.halfCashOutBtn.addEventListener('click', () => this.cashOut(panel, 50));
+        panel.cancelQueueBtn.addEventListener('click', () => this.cancelQueuedBet(panel));
+
+        // Auto cashout
+        panel.autoCashoutCheckbox.addEventListener('change', (e) => {
+            panel.autoCashoutEnabled = e.target.checked;
+            panel.autoCashoutValueInput.disabled = !e.target.checked;
+        });
+
+        panel.autoCashoutValueInput.addEventListener('input', (e) => {
+            panel.autoCashoutValue = parseFloat(e.target.value) || 2.00;
+        });
 
         // Input validation
-        this.betAmountInput.addEventListener('input', (e) => {
+        panel.betAmountInput.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
-            if (value < 1) e.target.value = 1;
-            if (value > 1000) e.target.value = 1000;
+            const minBet = this.table ? this.table.minBet : 1;
+            const maxBet = this.table ? this.table.maxBet : 1000;
+            if (value < minBet) e.target.value = minBet;
+            if (value > maxBet) e.target.value = maxBet;
         });
     }
 
+    getBetPanel(slot) {
+        return this.betPanels.find(panel => panel.slot === slot);
+    }
+
     connectWebSocket() {
         try {
             this.socket = io();
@@ -107,10 +144,13 @@ class CryptoCrashGame {
                 this.isConnected = true;
                 this.updateConnectionStatus(true);
                 this.showNotification('Connected to game server', 'success');
+                this.startClockSync();
             });
 
             this.socket.on('disconnect', () => {
                 this.isConnected = false;
+                clearInterval(this.pingInterval);
+                this.stopMultiplierAnimation();
                 this.updateConnectionStatus(false);
                 this.showNotification('Disconnected from server', 'error');
             });
@@ -121,13 +161,31 @@ class CryptoCrashGame {
             this.socket.on('multiplier:update', (data) => this.handleMultiplierUpdate(data));
             this.socket.on('player:cashedout', (data) => this.handlePlayerCashout(data));
             this.socket.on('round:crashed', (data) => this.handleRoundCrashed(data));
+            this.socket.on('maintenance', (data) => this.handleMaintenance(data));
+            this.socket.on('round:exposure-limit', (data) => {
+                this.showNotification(`House limit reached: ${data.cryptocurrency} bets cashed out at ${data.multiplier.toFixed(2)}x`, 'warning');
+            });
 
             // Player events
             this.socket.on('player:joined', (data) => this.handlePlayerJoined(data));
+            this.socket.on('table:joined', (data) => this.handleTableJoined(data));
+            this.socket.on('config:updated', (data) => this.handleConfigUpdated(data));
+            this.socket.on('game:state', (data) => this.handleGameState(data));
+            this.socket.on('seed:client', (data) => this.handleClientSeedUpdated(data));
+            this.socket.on('seed:rotation-scheduled', () => {
+                this.showNotification('Seed chain will rotate after this round', 'info');
+            });
+            this.socket.on('seed:rotated', (data) => this.handleSeedRotated(data));
             this.socket.on('bet:placed', (data) => this.handleBetPlaced(data));
             this.socket.on('bet:confirmed', (data) => this.handleBetConfirmed(data));
+            this.socket.on('bet:queued', (data) => this.handleBetQueued(data));
+            this.socket.on('bet:queue-cancelled', (data) => this.handleQueuedBetCancelled(data));
+            this.socket.on('bet:queue-failed', (data) => this.handleQueuedBetFailed(data));
             this.socket.on('cashout:confirmed', (data) => this.handleCashoutConfirmed(data));
+            this.socket.on('withdrawal:updated', (data) => this.handleWithdrawalUpdated(data));
             this.socket.on('wallet:balance', (data) => this.updateWalletDisplay(data.wallet));
+            this.socket.on('pong', (data) => this.handlePong(data));
+            this.socket.on('latency:probe', (data) => this.socket.emit('latency:ack', data));
 
             // Error handling
             this.socket.on('error', (data) => {
@@ -155,47 +213,116 @@ class CryptoCrashGame {
         
         this.socket.emit('player:join', {
             playerId: playerId,
-            username: playerName
+            username: playerName,
+            tableId: this.tableId
         });
 
         this.playerNameInput.disabled = true;
         this.joinGameBtn.disabled = true;
     }
 
-    placeBet() {
-        if (!this.isConnected || !this.playerData) {
+    switchTable(tableId) {
+        this.tableId = tableId;
+        this.stopMultiplierAnimation();
+        this.betPanels.forEach(panel => { panel.bet = null; });
+        this.loadGameHistory();
+
+        if (this.socket && this.playerData) {
+            this.socket.emit('table:join', { tableId });
+        }
+    }
+
+    setClientSeed() {
+        if (!this.socket || !this.playerData) {
             this.showNotification('Please join the game first', 'warning');
             return;
         }
 
-        if (this.gameState !== 'waiting') {
-            this.showNotification('Cannot place bet - round in progress', 'warning');
+        const clientSeed = this.clientSeedInput.value.trim();
+        if (!clientSeed) {
+            this.showNotification('Please enter a client seed', 'warning');
+            return;
+        }
+
+        this.socket.emit('seed:client', { clientSeed });
+    }
+
+    rotateSeed() {
+        if (!this.socket || !this.playerData) {
+            this.showNotification('Please join the game first', 'warning');
+            return;
+        }
+
+        this.socket.emit('seed:rotate');
+    }
+
+    placeBet(panel) {
+        if (!this.isConnected || !this.playerData) {
+            this.showNotification('Please join the game first', 'warning');
             return;
         }
 
-        const betAmount = parseFloat(this.betAmountInput.value);
-        const cryptocurrency = this.cryptocurrencySelect.value;
+        const betAmount = parseFloat(panel.betAmountInput.value);
+        const cryptocurrency = panel.cryptocurrencySelect.value;
 
         if (!betAmount || betAmount < 1) {
             this.showNotification('Please enter a valid bet amount', 'warning');
             return;
         }
 
+        // Auto cashout is settled by the server so it still fires if this tab lags or disconnects
         this.socket.emit('game:bet', {
+            requestId: this.newRequestId(),
             usdAmount: betAmount,
-            cryptocurrency: cryptocurrency
+            cryptocurrency: cryptocurrency,
+            autoCashoutAt: panel.autoCashoutEnabled ? panel.autoCashoutValue : undefined,
+            slot: panel.slot
         });
 
-        this.placeBetBtn.disabled = true;
+        panel.placeBetBtn.disabled = true;
+    }
+
+    cancelQueuedBet(panel) {
+        if (!panel.queued) return;
+
+        this.socket.emit('game:cancel-queued', { requestId: this.newRequestId(), queueId: panel.queued.queueId });
+        panel.cancelQueueBtn.disabled = true;
     }
 
-    cashOut() {
-        if (!this.currentBet || this.gameState !== 'active') {
+    setQueuedBet(panel, queued) {
+        panel.queued = queued;
+        panel.cancelQueueBtn.hidden = !queued;
+        panel.cancelQueueBtn.disabled = false;
+        panel.placeBetBtn.disabled = !!queued || (this.gameState === 'waiting' && !!panel.bet);
+    }
+
+    // Cash out a share of the panel's bet; the rest keeps riding
+    cashOut(panel, percentage = 100) {
+        if (!panel.bet || this.gameState !== 'active') {
             return;
         }
 
-        this.socket.emit('game:cashout');
-        this.cashOutBtn.disabled = true;
+        // Press time in server time; the server judges the cashout at it
+        this.socket.emit('game:cashout', {
+            requestId: this.newRequestId(),
+            betId: panel.bet.betId,
+            percentage,
+            clientTime: Math.round(this.serverNow())
+        });
+        this.setCashoutEnabled(panel, false);
+    }
+
+    // Sent with each money command. Socket.IO re-sends commands buffered while
+    // disconnected, and the server runs each request ID only once.
+    newRequestId() {
+        return window.crypto?.randomUUID
+            ? window.crypto.randomUUID()
+            : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    setCashoutEnabled(panel, enabled) {
+        panel.cashOutBtn.disabled = !enabled;
+        panel.halfCashOutBtn.disabled = !enabled;
     }
 
     deposit() {
@@ -253,7 +380,7 @@ class CryptoCrashGame {
         this.currentRound = data.roundId;
         this.gameState = 'waiting';
         this.multiplier = 1.00;
-        this.currentBet = null;
+        this.stopMultiplierAnimation();
 
         this.currentRoundDisplay.textContent = data.roundId.split('_')[1];
         this.multiplierValue.textContent = '1.00x';
@@ -262,8 +389,11 @@ class CryptoCrashGame {
         this.gameDisplay.classList.remove('active');
 
         // Reset controls
-        this.placeBetBtn.disabled = false;
-        this.cashOutBtn.disabled = true;
+        this.betPanels.forEach(panel => {
+            panel.bet = null;
+            panel.placeBetBtn.disabled = !!panel.queued;
+            this.setCashoutEnabled(panel, false);
+        });
 
         // Countdown
         let timeLeft = data.bettingEndsIn / 1000;
@@ -282,44 +412,125 @@ class CryptoCrashGame {
         this.gameState = 'active';
         this.gameStatus.textContent = 'Game in progress...';
         this.gameDisplay.classList.add('active');
-        this.placeBetBtn.disabled = true;
-        
-        if (this.currentBet) {
-            this.cashOutBtn.disabled = false;
-        }
+        this.startMultiplierAnimation(data);
+
+        // Bets placed from here on are queued for the next round
+        this.betPanels.forEach(panel => {
+            panel.placeBetBtn.disabled = !!panel.queued;
+            this.setCashoutEnabled(panel, !!panel.bet);
+        });
     }
 
+    // Sync tick: re-anchor the local animation (or start it, if we joined
+    // mid-round) and never show less than the server has reached
     handleMultiplierUpdate(data) {
-        this.multiplier = data.multiplier;
-        this.multiplierValue.textContent = `${data.multiplier.toFixed(2)}x`;
+        this.clock.seed(data.serverTime);
+
+        if (data.startedAt && data.curve) {
+            this.gameState = 'active';
+            this.startMultiplierAnimation(data);
+        }
+
+        if (data.multiplier > this.multiplier) {
+            this.renderMultiplier(data.multiplier);
+        }
+
         this.multiplierValue.classList.add('growing');
-        
         setTimeout(() => {
             this.multiplierValue.classList.remove('growing');
         }, 100);
+    }
+
+    // Clock sync over ping/pong; see clockSync.js
+    startClockSync() {
+        clearInterval(this.pingInterval);
+        this.clock.reset();
+        this.sendPing();
+        this.pingInterval = setInterval(() => this.sendPing(), 5000);
+    }
 
-        // Auto cashout check
-        if (this.autoCashoutEnabled && this.currentBet && 
-            data.multiplier >= this.autoCashoutValue) {
-            this.cashOut();
+    sendPing() {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('ping', { clientTime: Date.now() });
         }
     }
 
+    handlePong(data) {
+        this.clock.handlePong(data);
+    }
+
+    serverNow() {
+        return this.clock.now();
+    }
+
+    // Multiplier animation; mirrors services/MultiplierCurve.js
+    curveMultiplierAt(curve, seconds) {
+        switch (curve.type) {
+            case 'linear':
+                return 1 + curve.rate * seconds;
+            case 'polynomial':
+                return curve.coefficients.reduce((sum, c, i) => sum + c * Math.pow(seconds, i + 1), 1);
+            default:
+                return Math.exp(curve.k * seconds);
+        }
+    }
+
+    startMultiplierAnimation({ startedAt, curve }) {
+        if (!startedAt || !curve) return;
+
+        this.roundClock = { startedAt, curve };
+        if (this.animationFrame) return;
+
+        const step = () => {
+            if (this.gameState !== 'active' || !this.roundClock) {
+                this.animationFrame = null;
+                return;
+            }
+
+            const elapsed = Math.max(0, (this.serverNow() - this.roundClock.startedAt) / 1000);
+            const multiplier = this.curveMultiplierAt(this.roundClock.curve, elapsed);
+            if (multiplier > this.multiplier) this.renderMultiplier(multiplier);
+
+            this.animationFrame = requestAnimationFrame(step);
+        };
+        this.animationFrame = requestAnimationFrame(step);
+    }
+
+    stopMultiplierAnimation() {
+        if (this.animationFrame) cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.roundClock = null;
+    }
+
+    renderMultiplier(multiplier) {
+        this.multiplier = multiplier;
+        this.multiplierValue.textContent = `${multiplier.toFixed(2)}x`;
+    }
+
     handlePlayerCashout(data) {
         this.addCashoutToList(data);
         
         if (data.playerId === this.playerData?.playerId) {
-            this.currentBet = null;
-            this.cashOutBtn.disabled = true;
+            // A partial cashout leaves the rest of the bet riding
+            const panel = this.getBetPanel(data.slot);
+            if (panel) {
+                if (!data.partial) panel.bet = null;
+                this.setCashoutEnabled(panel, data.partial && this.gameState === 'active');
+            }
+            const share = data.partial ? `${data.percentage}% ` : '';
+            const how = data.capped ? 'cashed out at the house limit' : (data.auto ? 'auto cashed out' : 'cashed out');
             this.showNotification(
-                `Cashed out at ${data.multiplier}x for $${data.payout.usd}`, 
+                `Bet ${data.slot}: ${share}${how} at ${data.multiplier}x for $${data.payout.usd}`, 
                 'success'
             );
+            if (data.auto) this.refreshWallet();
         }
     }
 
     handleRoundCrashed(data) {
         this.gameState = 'crashed';
+        this.stopMultiplierAnimation();
+        this.renderMultiplier(data.crashPoint);
         this.gameDisplay.classList.remove('active');
         this.crashAnimation.classList.add('show');
         this.gameStatus.textContent = `Crashed at ${data.crashPoint.toFixed(2)}x`;
@@ -327,11 +538,19 @@ class CryptoCrashGame {
         // Show crash modal
         this.crashPoint.textContent = `${data.crashPoint.toFixed(2)}x`;
         
-        if (this.currentBet) {
+        const lostBets = this.betPanels.filter(panel => panel.bet);
+        if (data.forced) {
+            this.yourResult.innerHTML = `
+                <div style="color: #ffc107;">
+                    Round stopped early - open bets paid out
+                </div>
+            `;
+        } else if (lostBets.length > 0) {
+            const lostAmount = lostBets.reduce((sum, panel) => sum + panel.bet.usdAmount, 0);
             this.yourResult.innerHTML = `
                 <div style="color: #ff6b6b; font-weight: 600;">
                     <i class="fas fa-times-circle"></i>
-                    You lost $${this.currentBet.usdAmount}
+                    You lost $${lostAmount}
                 </div>
             `;
         } else {
@@ -353,12 +572,15 @@ class CryptoCrashGame {
         this.addToHistory(data.crashPoint);
         
         // Reset bet state
-        this.currentBet = null;
-        this.cashOutBtn.disabled = true;
+        this.betPanels.forEach(panel => {
+            panel.bet = null;
+            this.setCashoutEnabled(panel, false);
+        });
     }
 
     handlePlayerJoined(data) {
         this.playerData = data;
+        this.clientSeedInput.value = data.clientSeed || '';
         this.updateWalletDisplay(data.wallet);
         this.showNotification(`Welcome, ${data.username}!`, 'success');
         
@@ -366,20 +588,147 @@ class CryptoCrashGame {
         this.socket.emit('game:state');
     }
 
+    handleClientSeedUpdated(data) {
+        this.clientSeedInput.value = data.clientSeed;
+        this.showNotification('Client seed updated for your next bets', 'success');
+    }
+
+    handleSeedRotated(data) {
+        this.showNotification(
+            `Seed chain rotated. Old terminal seed: ${data.retired.terminalSeed.substring(0, 16)}...`,
+            'info'
+        );
+    }
+
+    // Admin actions: keep a banner up while the table is paused
+    handleMaintenance(data) {
+        const reason = data.reason ? ` (${data.reason})` : '';
+        this.showNotification(`${data.message}${reason}`, 'warning');
+        this.setMaintenanceBanner(data.paused ? `${data.message}${reason}` : null);
+
+        if (data.action === 'paused') {
+            this.gameStatus.textContent = 'Paused for maintenance';
+            this.countdown.textContent = '';
+        }
+        if (data.action === 'round-voided') {
+            this.stopMultiplierAnimation();
+            this.gameState = 'waiting';
+            this.gameDisplay.classList.remove('active');
+            this.gameStatus.textContent = 'Round voided - bets refunded';
+            this.betPanels.forEach(panel => {
+                panel.bet = null;
+                this.setCashoutEnabled(panel, false);
+            });
+            this.refreshWallet();
+        }
+    }
+
+    setMaintenanceBanner(text) {
+        this.maintenanceBanner.textContent = text || '';
+        this.maintenanceBanner.classList.toggle('show', !!text);
+    }
+
+    handleTableJoined(data) {
+        this.showNotification(`Joined table ${data.table.name}`, 'info');
+    }
+
+    // New table settings from an admin, in effect from this round on
+    handleConfigUpdated(data) {
+        this.table = data.table;
+        this.betPanels.forEach(panel => {
+            panel.betAmountInput.min = data.table.minBet;
+            panel.betAmountInput.max = data.table.maxBet;
+        });
+        this.loadTables();
+        this.showNotification(`Table settings updated: bets $${data.table.minBet}-$${data.table.maxBet}`, 'info');
+    }
+
+    handleGameState(data) {
+        if (!data.table) return;
+
+        this.setMaintenanceBanner(data.paused ? 'Game paused for maintenance' : null);
+
+        // Joined mid-round: pick the animation up from the server start time
+        if (data.isGameActive && data.startedAt) {
+            this.clock.seed(data.serverTime);
+            this.gameState = 'active';
+            this.gameDisplay.classList.add('active');
+            this.startMultiplierAnimation(data);
+        }
+
+        this.table = data.table;
+        this.tableId = data.table.id;
+        this.tableSelect.value = data.table.id;
+        this.betPanels.forEach(panel => {
+            panel.betAmountInput.min = data.table.minBet;
+            panel.betAmountInput.max = data.table.maxBet;
+        });
+    }
+
     handleBetPlaced(data) {
         // Visual feedback for bet placement
         this.showNotification('Bet placed successfully!', 'success');
     }
 
     handleBetConfirmed(data) {
-        this.currentBet = data;
+        const panel = this.getBetPanel(data.slot);
+        if (panel) {
+            panel.bet = data;
+            if (data.queueId) this.setQueuedBet(panel, null);
+            panel.placeBetBtn.disabled = true;
+        }
+
+        const autoText = data.autoCashoutAt ? `, auto cashout at ${data.autoCashoutAt.toFixed(2)}x` : '';
         this.showNotification(
-            `Bet confirmed: $${data.usdAmount} (${data.cryptoAmount.toFixed(8)} ${data.cryptocurrency})`,
+            `Bet ${data.slot} confirmed: $${data.usdAmount} (${data.cryptoAmount.toFixed(8)} ${data.cryptocurrency})${autoText}`,
             'success'
         );
         this.refreshWallet();
     }
 
+    handleBetQueued(data) {
+        const panel = this.getBetPanel(data.slot);
+        if (panel) this.setQueuedBet(panel, data);
+
+        this.showNotification(
+            `Bet ${data.slot} queued for next round: $${data.usdAmount} (${data.cryptoAmount.toFixed(8)} ${data.cryptocurrency} held)`,
+            'info'
+        );
+        this.refreshWallet();
+    }
+
+    handleQueuedBetCancelled(data) {
+        const panel = this.getBetPanel(data.slot);
+        if (panel) this.setQueuedBet(panel, null);
+
+        this.showNotification(`Queued bet ${data.slot} cancelled, funds released`, 'info');
+        this.refreshWallet();
+    }
+
+    handleQueuedBetFailed(data) {
+        const panel = this.getBetPanel(data.slot);
+        if (panel) this.setQueuedBet(panel, null);
+
+        this.showNotification(`Queued bet ${data.slot} could not be placed: ${data.message}`, 'error');
+        this.refreshWallet();
+    }
+
+    handleWithdrawalUpdated(data) {
+        const amount = `${data.cryptoAmount} ${data.cryptocurrency}`;
+        const messages = {
+            pending: [`Withdrawal of ${amount} is awaiting approval`, 'info'],
+            approved: [`Withdrawal of ${amount} approved`, 'info'],
+            processing: [`Withdrawal of ${amount} is being sent`, 'info'],
+            completed: [`Withdrawal of ${amount} sent`, 'success'],
+            rejected: [`Withdrawal of ${amount} rejected${data.reason ? `: ${data.reason}` : ''}, funds returned`, 'warning'],
+            failed: [`Withdrawal of ${amount} failed, funds returned`, 'error']
+        };
+        const [message, type] = messages[data.status] || [`Withdrawal ${data.status}`, 'info'];
+
+        this.showNotification(message, type);
+        this.refreshWallet();
+    }
+
     handleCashoutConfirmed(data) {
         this.showNotification(
             `Cashed out at ${data.multiplier.toFixed(2)}x!`,
@@ -410,10 +759,14 @@ class CryptoCrashGame {
             const cryptoName = item.querySelector('.crypto-name').textContent;
             const cryptoAmount = item.querySelector('.crypto-amount');
             const usdValue = item.querySelector('.usd-value');
+            const heldValue = item.querySelector('.held-value');
             
             if (wallet[cryptoName]) {
                 cryptoAmount.textContent = wallet[cryptoName].amount.toFixed(8);
                 usdValue.textContent = `$${wallet[cryptoName].usdValue.toFixed(2)}`;
+                heldValue.textContent = wallet[cryptoName].held > 0
+                    ? `${wallet[cryptoName].held.toFixed(8)} held`
+                    : '';
             }
         });
     }
@@ -471,8 +824,26 @@ class CryptoCrashGame {
         }
     }
 
+    loadTables() {
+        fetch('/api/game/tables')
+            .then(response => response.json())
+            .then(data => {
+                this.tableSelect.innerHTML = '';
+                data.tables.forEach(table => {
+                    const option = document.createElement('option');
+                    option.value = table.id;
+                    option.textContent = `${table.name} ($${table.minBet}-$${table.maxBet})`;
+                    this.tableSelect.appendChild(option);
+                });
+                this.tableSelect.value = this.tableId;
+            })
+            .catch(error => {
+                console.error('Error loading tables:', error);
+            });
+    }
+
     loadGameHistory() {
-        fetch('/api/game/history?limit=50')
+        fetch(`/api/game/history?limit=50&table=${encodeURIComponent(this.tableId)}`)
             .then(response => response.json())
             .then(data => {
                 this.historyList.innerHTML = '';
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const Withdrawal = require('../models/Withdrawal');
+const WithdrawalService = require('../services/WithdrawalService');
+const logger = require('../config/logger');
+
+router.use(adminAuth);
+
+// Resolve the table, or answer 404. Actions run through the registry so they
+// reach the leader whichever instance the request landed on.
+const getTable = (req, res) => {
+  const manager = req.app.get('tableRegistry').get(req.params.tableId);
+  if (!manager) {
+    res.status(404).json({ error: 'Table not found' });
+    return null;
+  }
+  return manager.table;
+};
+
+const callTable = (req, table, action, ...args) =>
+  req.app.get('tableRegistry').call(table.id, action, ...args);
+
+// Loop status of every table and which instance runs them
+router.get('/tables', async (req, res) => {
+  try {
+    const registry = req.app.get('tableRegistry');
+    const tables = await Promise.all(registry.tableIds().map(id => registry.call(id, 'getLoopStatus')));
+
+    res.json({
+      instanceId: registry.instanceId,
+      leaderId: registry.election.leaderId,
+      tables
+    });
+  } catch (error) {
+    logger.error('Error getting table status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Pause the loop once the current round ends
+router.post('/tables/:tableId/pause', async (req, res) => {
+  const table = getTable(req, res);
+  if (!table) return;
+
+  try {
+    await callTable(req, table, 'pause', req.body.reason);
+    logger.info(`Admin paused ${table.id} - ${req.ip}`);
+    res.json(await callTable(req, table, 'getLoopStatus'));
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+router.post('/tables/:tableId/resume', async (req, res) => {
+  const table = getTable(req, res);
+  if (!table) return;
+
+  try {
+    await callTable(req, table, 'resume');
+    logger.info(`Admin resumed ${table.id} - ${req.ip}`);
+    res.json(await callTable(req, table, 'getLoopStatus'));
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Runtime settings of a table, and any change waiting for the next round
+router.get('/tables/:tableId/config', async (req, res) => {
+  const table = getTable(req, res);
+  if (!table) return;
+
+  try {
+    res.json(await callTable(req, table, 'getConfig'));
+  } catch (error) {
+    logger.error('Error getting table config:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change settings; they take effect when the next round starts
+router.patch('/tables/:tableId/config', async (req, res) => {
+  const table = getTable(req, res);
+  if (!table) return;
+
+  try {
+    const config = await callTable(req, table, 'updateConfig', req.body);
+    logger.info(`Admin changed config of ${table.id}: ${JSON.stringify(config.pending)} - ${req.ip}`);
+    res.json(config);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error updating table config:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Void the current round and refund its open bets
+router.post('/tables/:tableId/void', async (req, res) => {
+  const table = getTable(req, res);
+  if (!table) return;
+
+  try {
+    const round = await callTable(req, table, 'voidCurrentRound', req.body.reason);
+    logger.info(`Admin voided ${round.roundId} on ${table.id} - ${req.ip}`);
+    res.json({ roundId: round.roundId, status: round.status, voidReason: round.voidReason });
+  } catch (error) {
+    if (error.message === 'No round in progress') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Error voiding round:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stop a running round now, paying open bets at the multiplier reached
+router.post('/tables/:tableId/crash', async (req, res) => {
+  const table = getTable(req, res);
+  if (!table) return;
+
+  try {
+    const round = await callTable(req, table, 'forceCrash', req.body.reason);
+    logger.info(`Admin force-crashed ${round.roundId} on ${table.id} - ${req.ip}`);
+    res.json({ roundId: round.roundId, status: round.status, voidReason: round.voidReason });
+  } catch (error) {
+    if (error.message === 'No running round to crash' || error.message === 'No round in progress') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Error force-crashing round:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdrawals, oldest first; `status=pending` gives the review queue
+router.get('/withdrawals', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, playerId } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (playerId) filter.playerId = playerId;
+
+    const withdrawals = await Withdrawal.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Withdrawal.countDocuments(filter);
+
+    res.json({
+      withdrawals: withdrawals.map(WithdrawalService.describe),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing withdrawals:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve a pending withdrawal; the payout follows in the background
+router.post('/withdrawals/:withdrawalId/approve', async (req, res) => {
+  try {
+    const withdrawal = await req.app.get('withdrawals').approve(req.params.withdrawalId);
+    logger.info(`Admin approved withdrawal ${withdrawal.withdrawalId} - ${req.ip}`);
+    res.json(withdrawal);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error approving withdrawal:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reject a pending withdrawal, returning its funds to the player's wallet
+router.post('/withdrawals/:withdrawalId/reject', async (req, res) => {
+  try {
+    const withdrawal = await req.app.get('withdrawals').reject(req.params.withdrawalId, req.body.reason);
+    logger.info(`Admin rejected withdrawal ${withdrawal.withdrawalId} - ${req.ip}`);
+    res.json(withdrawal);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error rejecting withdrawal:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
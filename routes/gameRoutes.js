@@ -2,17 +2,53 @@ const express = require('express');
 const router = express.Router();
 const GameRound = require('../models/GameRound');
 const Transaction = require('../models/Transaction');
+const Player = require('../models/Player');
+const SeedChain = require('../models/SeedChain');
+const HashChain = require('../services/HashChain');
+const CrashPoint = require('../services/CrashPoint');
+const Bankroll = require('../services/Bankroll');
+const Units = require('../services/Units');
+const HouseBankroll = require('../models/HouseBankroll');
+const GameConfig = require('../models/GameConfig');
+const { loadReplay } = require('../services/RoundReplay');
 const logger = require('../config/logger');
+const { tables, getTable, pickSettings } = require('../config/tables');
 
-// Get current game state (REST endpoint)
+// List configured tables with their runtime settings, and each table's crash
+// distribution and RTP
+router.get('/tables', async (req, res) => {
+  try {
+    const configs = await GameConfig.find().lean();
+
+    res.json({
+      tables: tables.map(configured => {
+        const config = configs.find(c => c.tableId === configured.id) || {};
+        const table = { ...configured, ...pickSettings(config) };
+        return { ...table, crashDistribution: new CrashPoint(table).describe() };
+      })
+    });
+  } catch (error) {
+    logger.error('Error listing tables:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get current game state (REST endpoint), with the table's runtime settings
 router.get('/state', async (req, res) => {
   try {
-    // This would be handled by the GameManager instance
-    // For now, return basic info
-    const currentRound = await GameRound.findOne({ status: { $in: ['waiting', 'active'] } })
+    const configured = getTable(req.query.table);
+    if (!configured) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const config = await GameConfig.findOne({ tableId: configured.id }).lean();
+    const table = { ...configured, ...pickSettings(config || {}) };
+
+    const currentRound = await GameRound.findOne({ tableId: table.id, status: { $in: ['waiting', 'active'] } })
       .sort({ createdAt: -1 });
 
     res.json({
+      table,
       currentRound: currentRound ? {
         roundId: currentRound.roundId,
         status: currentRound.status,
@@ -33,15 +69,23 @@ router.get('/history', async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const rounds = await GameRound.find({ status: 'crashed' })
+    const table = getTable(req.query.table);
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const filter = { tableId: table.id, status: 'crashed' };
+
+    const rounds = await GameRound.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .select('roundId crashPoint startTime endTime maxMultiplier');
+      .select('roundId tableId crashPoint startTime endTime maxMultiplier');
 
-    const total = await GameRound.countDocuments({ status: 'crashed' });
+    const total = await GameRound.countDocuments(filter);
 
     res.json({
+      tableId: table.id,
       rounds,
       pagination: {
         page: parseInt(page),
@@ -69,11 +113,18 @@ router.get('/round/:roundId', async (req, res) => {
     // Don't expose the seed until the round is complete
     const responseData = {
       roundId: round.roundId,
+      tableId: round.tableId,
+      chainId: round.chainId,
+      chainIndex: round.chainIndex,
       startTime: round.startTime,
       endTime: round.endTime,
-      crashPoint: round.crashPoint,
+      crashPoint: round.status === 'crashed' ? round.crashPoint : null,
+      clientSeeds: round.clientSeeds,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce,
       seedHash: round.seedHash,
       status: round.status,
+      voidReason: round.voidReason,
       maxMultiplier: round.maxMultiplier,
       totalBets: round.bets.length,
       totalBetAmount: round.bets.reduce((sum, bet) => sum + bet.usdAmount, 0)
@@ -91,10 +142,29 @@ router.get('/round/:roundId', async (req, res) => {
   }
 });
 
+// Event log of a finished round, timed for playback at ?speed= (1 = real time)
+router.get('/round/:roundId/replay', async (req, res) => {
+  try {
+    const speed = req.query.speed === undefined ? 1 : parseFloat(req.query.speed);
+    const replay = await loadReplay(req.params.roundId, speed);
+
+    res.json(replay);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error loading round replay:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Verify crash point (provably fair verification)
 router.post('/verify', async (req, res) => {
   try {
     const { roundId, seed, expectedCrashPoint } = req.body;
+    // Client seeds and nonce default to the values recorded on the round
+    const clientSeeds = req.body.clientSeeds;
+    const nonce = req.body.nonce;
 
     if (!roundId || !seed || !expectedCrashPoint) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -110,33 +180,60 @@ router.post('/verify', async (req, res) => {
     }
 
     // Verify the seed matches
-    const crypto = require('crypto');
-    const computedHash = crypto.createHash('sha256').update(seed).digest('hex');
+    const computedHash = HashChain.hash(seed);
     
     if (computedHash !== round.seedHash) {
       return res.status(400).json({ error: 'Invalid seed' });
     }
 
-    // Recalculate crash point
-    const hash = crypto.createHmac('sha256', process.env.PROVABLY_FAIR_SECRET || 'default-secret')
-      .update(seed + roundId)
-      .digest('hex');
-    
-    const hashNumber = parseInt(hash.substring(0, 8), 16);
-    const maxCrash = parseFloat(process.env.MAX_CRASH_MULTIPLIER) || 120;
-    const minCrash = parseFloat(process.env.MIN_CRASH_MULTIPLIER) || 1.01;
-    
-    const uniform = hashNumber / 0xFFFFFFFF;
-    const calculatedCrashPoint = minCrash + (Math.log(1 - uniform) / -0.1);
-    const finalCrashPoint = Math.min(Math.max(calculatedCrashPoint, minCrash), maxCrash);
+    const chain = await SeedChain.findOne({ chainId: round.chainId });
+    if (!chain) {
+      return res.status(400).json({ error: 'Round is not part of a seed chain' });
+    }
+
+    // The seed must hash down to the published commitment from its position
+    const positionValid = HashChain.verifyPosition(seed, round.chainIndex, chain.commitment);
 
-    const isValid = Math.abs(finalCrashPoint - round.crashPoint) < 0.01;
+    // Rounds from before client seeds were mixed in have none recorded
+    if (!Array.isArray(clientSeeds) && (!round.clientSeeds || round.clientSeed == null)) {
+      return res.status(400).json({ error: 'Round has no client seeds recorded' });
+    }
+
+    // Recombine the client seeds and recalculate the crash point
+    const roundClientSeeds = Array.isArray(clientSeeds) ? [...clientSeeds].sort() : round.clientSeeds;
+    const roundNonce = nonce !== undefined ? parseInt(nonce) : round.nonce;
+    const clientSeed = HashChain.hash(roundClientSeeds.join(':'));
+
+    // Use the distribution the round was played under
+    const table = getTable(round.tableId) || getTable();
+    const distribution = new CrashPoint({
+      houseEdge: round.houseEdge ?? table.houseEdge,
+      maxCrash: round.maxCrash ?? table.maxCrash
+    });
+    const finalCrashPoint = distribution.calculate(seed, clientSeed, roundNonce);
+
+    const clientSeedValid = clientSeed === round.clientSeed;
+    const nonceValid = roundNonce === round.chainIndex;
+    const isValid = positionValid && clientSeedValid && nonceValid &&
+      finalCrashPoint === round.crashPoint;
 
     res.json({
       valid: isValid,
+      chain: {
+        chainId: chain.chainId,
+        index: round.chainIndex,
+        commitment: chain.commitment,
+        positionValid
+      },
+      clientSeeds: roundClientSeeds,
+      clientSeed,
+      clientSeedValid,
+      nonce: roundNonce,
+      nonceValid,
       providedCrashPoint: expectedCrashPoint,
       actualCrashPoint: round.crashPoint,
-      calculatedCrashPoint: parseFloat(finalCrashPoint.toFixed(2)),
+      calculatedCrashPoint: finalCrashPoint,
+      distribution: distribution.describe(),
       seedHash: round.seedHash,
       seed: round.seed
     });
@@ -147,6 +244,99 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+// Set a player's client seed
+router.post('/client-seed', async (req, res) => {
+  try {
+    const { playerId } = req.body;
+    const clientSeed = typeof req.body.clientSeed === 'string' ? req.body.clientSeed.trim() : '';
+
+    if (!playerId || !clientSeed) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (clientSeed.length > 64) {
+      return res.status(400).json({ error: 'Client seed must be at most 64 characters' });
+    }
+
+    const player = await Player.findOneAndUpdate({ playerId }, { clientSeed }, { new: true });
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    res.json({ playerId, clientSeed: player.clientSeed });
+  } catch (error) {
+    logger.error('Error setting client seed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Publish seed chain commitments for a table
+router.get('/chain', async (req, res) => {
+  try {
+    const table = getTable(req.query.table);
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const active = await SeedChain.findOne({ tableId: table.id, status: 'active' })
+      .sort({ createdAt: -1 });
+
+    // Exhausted and rotated chains are retired for good, so their terminal seeds can be revealed
+    const retired = await SeedChain.find({ tableId: table.id, status: { $in: ['exhausted', 'rotated'] } })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .select('+terminalSeed');
+
+    res.json({
+      tableId: table.id,
+      active: active ? {
+        chainId: active.chainId,
+        commitment: active.commitment,
+        length: active.length,
+        roundsPlayed: active.nextIndex - 1,
+        createdAt: active.createdAt
+      } : null,
+      retired: retired.map(chain => ({
+        chainId: chain.chainId,
+        status: chain.status,
+        roundsPlayed: chain.nextIndex - 1,
+        commitment: chain.commitment,
+        length: chain.length,
+        terminalSeed: chain.terminalSeed
+      }))
+    });
+  } catch (error) {
+    logger.error('Error getting seed chain:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// House bankroll per cryptocurrency and the round payout cap it allows
+router.get('/bankroll', async (req, res) => {
+  try {
+    const bankrolls = await HouseBankroll.find().sort({ cryptocurrency: 1 });
+
+    res.json({
+      bankroll: bankrolls.map(b => {
+        // Null when rounds are not capped
+        const maxRoundPayout = Bankroll.maxRoundPayout(b.balance);
+        return {
+          cryptocurrency: b.cryptocurrency,
+          balance: Units.toNumber(b.balance, b.cryptocurrency),
+          totalWagered: Units.toNumber(b.totalWagered, b.cryptocurrency),
+          totalPaidOut: Units.toNumber(b.totalPaidOut, b.cryptocurrency),
+          totalRefunded: Units.toNumber(b.totalRefunded, b.cryptocurrency),
+          maxRoundPayout: maxRoundPayout === null ? null : Units.toNumber(maxRoundPayout, b.cryptocurrency),
+          updatedAt: b.updatedAt
+        };
+      })
+    });
+  } catch (error) {
+    logger.error('Error getting bankroll:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get leaderboard
 router.get('/leaderboard', async (req, res) => {
   try {
@@ -1,12 +1,49 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const Withdrawal = require('../models/Withdrawal');
 const CryptoService = require('../services/CryptoService');
+const Ledger = require('../services/Ledger');
+const WithdrawalService = require('../services/WithdrawalService');
+const Units = require('../services/Units');
+const idempotency = require('../middleware/idempotency');
+const Idempotency = require('../services/Idempotency');
 const logger = require('../config/logger');
 
 const cryptoService = new CryptoService();
 
+// Stored amounts are base units; responses carry decimal amounts
+const describeTransaction = (transaction) => {
+  const data = transaction.toObject();
+  return {
+    ...data,
+    cryptoAmount: Units.toNumber(data.cryptoAmount, data.cryptocurrency),
+    balanceAfter: data.balanceAfter && Units.formatWallet(data.balanceAfter)
+  };
+};
+
+const describeLedgerEntry = (entry) => {
+  const data = entry.toObject();
+  return {
+    ...data,
+    amount: Units.toNumber(data.amount, data.cryptocurrency),
+    balanceAfter: data.balanceAfter == null ? undefined : Units.toNumber(data.balanceAfter, data.cryptocurrency)
+  };
+};
+
+const describeReconciliation = ({ balanced, ledger, discrepancies }) => ({
+  balanced,
+  ledger: { wallet: Units.formatWallet(ledger.wallet), heldFunds: Units.formatWallet(ledger.heldFunds) },
+  discrepancies: discrepancies.map(d => ({
+    ...d,
+    stored: Units.toNumber(d.stored, d.cryptocurrency),
+    ledger: Units.toNumber(d.ledger, d.cryptocurrency)
+  }))
+});
+
 // Get wallet balance
 router.get('/balance/:playerId', async (req, res) => {
   try {
@@ -21,10 +58,13 @@ router.get('/balance/:playerId', async (req, res) => {
     const prices = await cryptoService.getPrices(['BTC', 'ETH', 'USDT']);
     
     const walletWithUsd = {};
-    for (const [crypto, amount] of Object.entries(player.wallet)) {
+    for (const crypto of Units.CURRENCIES) {
+      const amount = Units.toNumber(player.wallet[crypto], crypto);
       walletWithUsd[crypto] = {
-        amount: parseFloat(amount.toFixed(8)),
-        usdValue: prices[crypto] ? parseFloat((amount * prices[crypto]).toFixed(2)) : 0
+        amount,
+        usdValue: prices[crypto] ? parseFloat((amount * prices[crypto]).toFixed(2)) : 0,
+        // Held funds back queued bets and pending withdrawals and are not spendable
+        held: Units.toNumber(player.heldFunds?.[crypto], crypto)
       };
     }
 
@@ -44,8 +84,8 @@ router.get('/balance/:playerId', async (req, res) => {
   }
 });
 
-// Add funds to wallet (simulate deposit)
-router.post('/deposit', async (req, res) => {
+// Add funds to wallet (simulate deposit). Safe to retry with an Idempotency-Key.
+router.post('/deposit', idempotency, async (req, res) => {
   try {
     const { playerId, amount, cryptocurrency } = req.body;
 
@@ -53,14 +93,22 @@ router.post('/deposit', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    if (amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be positive' });
-    }
-
     if (!['BTC', 'ETH', 'USDT'].includes(cryptocurrency.toUpperCase())) {
       return res.status(400).json({ error: 'Unsupported cryptocurrency' });
     }
 
+    // Exact base units of the amount as entered
+    let units;
+    try {
+      units = Units.parseUnits(amount, cryptocurrency.toUpperCase());
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (units <= 0n) {
+      return res.status(400).json({ error: 'Amount must be positive' });
+    }
+
     const player = await Player.findOne({ playerId });
     if (!player) {
       return res.status(404).json({ error: 'Player not found' });
@@ -69,43 +117,119 @@ router.post('/deposit', async (req, res) => {
     // Get current price
     const price = await cryptoService.getPrice(cryptocurrency.toUpperCase());
     
-    // Add to wallet
+    // Add to wallet, log the transaction and post it to the ledger together
     const crypto = cryptocurrency.toUpperCase();
-    player.wallet[crypto] = (player.wallet[crypto] || 0) + parseFloat(amount);
-    await player.save();
-
-    // Log transaction
     const crypto_module = require('crypto');
-    const transaction = new Transaction({
-      transactionId: `tx_${Date.now()}_${crypto_module.randomBytes(8).toString('hex')}`,
-      playerId,
-      roundId: 'deposit',
-      type: 'deposit',
-      usdAmount: amount * price,
-      cryptoAmount: parseFloat(amount),
-      cryptocurrency: crypto,
-      priceAtTime: price,
-      transactionHash: crypto_module.randomBytes(32).toString('hex'),
-      balanceAfter: player.wallet
-    });
+    const transactionId = `tx_${Date.now()}_${crypto_module.randomBytes(8).toString('hex')}`;
+
+    const usdAmount = Units.unitsToUsd(units, price, crypto);
+
+    const credited = await mongoose.connection.transaction(async (session) => {
+      const updated = await Player.findOneAndUpdate(
+        { playerId },
+        { $inc: { [`wallet.${crypto}`]: units } },
+        { new: true, session }
+      );
+
+      await Transaction.create([{
+        transactionId,
+        playerId,
+        roundId: 'deposit',
+        type: 'deposit',
+        usdAmount,
+        cryptoAmount: units,
+        cryptocurrency: crypto,
+        priceAtTime: price,
+        transactionHash: crypto_module.randomBytes(32).toString('hex'),
+        balanceAfter: updated.wallet
+      }], { session });
 
-    await transaction.save();
+      await Ledger.transfer({
+        type: 'deposit',
+        cryptocurrency: crypto,
+        amount: units,
+        from: Ledger.EXTERNAL,
+        to: Ledger.walletAccount(playerId),
+        player: updated,
+        transactionId
+      }, session);
+      return updated;
+    });
 
     res.json({
       success: true,
       transaction: {
-        transactionId: transaction.transactionId,
-        amount: parseFloat(amount),
+        transactionId,
+        amount: Units.toNumber(units, crypto),
         cryptocurrency: crypto,
-        usdValue: parseFloat((amount * price).toFixed(2)),
-        newBalance: player.wallet[crypto]
+        usdValue: parseFloat(usdAmount.toFixed(2)),
+        newBalance: Units.toNumber(credited.wallet[crypto], crypto)
       }
     });
 
-    logger.info(`Deposit processed: ${playerId} - ${amount} ${crypto}`);
+    logger.info(`Deposit processed: ${playerId} - ${Units.formatUnits(units, crypto)} ${crypto}`);
 
   } catch (error) {
     logger.error('Error processing deposit:', error);
+    res.locals.outcomeUnknown = Idempotency.outcomeUnknown(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw to an address. The amount is held until it is paid out. Nothing
+// ties the caller to `playerId` yet, so every withdrawal waits for an admin.
+// Safe to retry with an Idempotency-Key.
+router.post('/withdraw', idempotency, async (req, res) => {
+  try {
+    const { playerId, amount, cryptocurrency, address } = req.body;
+
+    if (!playerId || !amount || !cryptocurrency || !address) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const withdrawal = await req.app.get('withdrawals').request(playerId, { amount, cryptocurrency, address });
+    res.status(202).json({ success: true, withdrawal });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('Error requesting withdrawal:', error);
+    res.locals.outcomeUnknown = Idempotency.outcomeUnknown(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a player's withdrawals, newest first
+router.get('/withdrawals/:playerId', async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { playerId };
+    if (status) filter.status = status;
+
+    const withdrawals = await Withdrawal.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Withdrawal.countDocuments(filter);
+
+    res.json({
+      withdrawals: withdrawals.map(WithdrawalService.describe),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting withdrawals:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -119,7 +243,7 @@ router.get('/transactions/:playerId', async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     let filter = { playerId };
-    if (type && ['bet', 'cashout', 'deposit', 'withdrawal'].includes(type)) {
+    if (type && ['bet', 'cashout', 'deposit', 'withdrawal', 'refund'].includes(type)) {
       filter.type = type;
     }
 
@@ -132,7 +256,7 @@ router.get('/transactions/:playerId', async (req, res) => {
     const total = await Transaction.countDocuments(filter);
 
     res.json({
-      transactions,
+      transactions: transactions.map(describeTransaction),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -147,6 +271,52 @@ router.get('/transactions/:playerId', async (req, res) => {
   }
 });
 
+// Get a player's ledger entries, newest first, each with the account's
+// balance after it, and whether the stored balances agree with the ledger
+router.get('/ledger/:playerId', async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { page = 1, limit = 50, cryptocurrency, account } = req.query;
+
+    const player = await Player.findOne({ playerId });
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { playerId };
+    if (cryptocurrency) filter.cryptocurrency = cryptocurrency.toUpperCase();
+    if (account === 'wallet') filter.account = Ledger.walletAccount(playerId);
+    if (account === 'held') filter.account = Ledger.heldAccount(playerId);
+
+    const entries = await LedgerEntry.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-__v -_id');
+
+    const total = await LedgerEntry.countDocuments(filter);
+    const reconciliation = await Ledger.reconcile(player);
+
+    res.json({
+      playerId,
+      entries: entries.map(describeLedgerEntry),
+      reconciliation: describeReconciliation(reconciliation),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting ledger:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get crypto prices
 router.get('/prices', async (req, res) => {
   try {
@@ -0,0 +1,357 @@
+const { io } = require('socket.io-client');
+const axios = require('axios');
+const { createCurve } = require('../services/MultiplierCurve');
+const { parseStrategy } = require('../services/RtpSimulator');
+const ClockSync = require('../public/clockSync');
+
+// Headless players for load and behaviour testing. Each bot connects over
+// Socket.IO the way public/script.js does, bets at the start of every round and
+// cashes out at its strategy's target. Used by scripts/bots.js.
+
+const pickTarget = (strategy) => (strategy.type === 'fixed'
+  ? strategy.target
+  : strategy.min + Math.random() * (strategy.max - strategy.min));
+
+// Latency summary in ms
+const summarize = (samples) => {
+  if (samples.length === 0) return { count: 0 };
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const quantile = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((sum, s) => sum + s, 0) / sorted.length,
+    p50: quantile(0.5),
+    p90: quantile(0.9),
+    p99: quantile(0.99),
+    max: sorted[sorted.length - 1]
+  };
+};
+
+class BotPlayer {
+  constructor({ url, playerId, tableId, strategy, stake, cryptocurrency, cashout, topUp }) {
+    this.url = url;
+    this.playerId = playerId;
+    this.tableId = tableId;
+    this.strategy = strategy;
+    this.stake = stake;
+    this.cryptocurrency = cryptocurrency;
+    this.auto = cashout === 'auto'; // Auto cashout on the server, or press like a player
+    this.topUp = topUp;
+    this.socket = null;
+    this.clock = new ClockSync(); // Server time, synced over ping/pong like the web client
+    this.pingInterval = null;
+    this.bet = null; // This round's bet: { betId, target, settled }
+    this.cashoutTimer = null;
+    this.stopped = false;
+    // Request in flight, so an `error` event can be put down to it
+    this.pending = { bet: null, cashout: null };
+    this.stats = {
+      rounds: 0,
+      disconnects: 0,
+      betsRequested: 0,
+      betsConfirmed: 0,
+      betsRejected: 0,
+      betsQueued: 0,
+      cashoutsRequested: 0,
+      cashoutsConfirmed: 0,
+      cashoutsRejected: 0,
+      autoCashouts: 0,
+      lost: 0,
+      wagered: 0,
+      paidOut: 0,
+      errors: {}, // message -> count
+      betLatencies: [],
+      cashoutLatencies: []
+    };
+  }
+
+  // Resolves once the server has seated the bot at its table
+  start(timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`${this.playerId} did not join within ${timeout}ms`)), timeout);
+
+      this.socket = io(this.url, { transports: ['websocket'], forceNew: true, reconnection: true });
+      this.socket.on('connect', () => {
+        this.startClockSync();
+        this.socket.emit('player:join', { playerId: this.playerId, username: this.playerId, tableId: this.tableId });
+      });
+      this.socket.on('connect_error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      this.socket.once('player:joined', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+
+      this.socket.on('disconnect', () => {
+        clearInterval(this.pingInterval);
+        if (!this.stopped) this.stats.disconnects++;
+      });
+      this.socket.on('pong', (data) => this.clock.handlePong(data));
+      this.socket.on('latency:probe', (data) => this.socket.emit('latency:ack', data));
+      this.socket.on('round:new', (data) => this.handleNewRound(data));
+      this.socket.on('round:started', (data) => this.handleRoundStarted(data));
+      this.socket.on('round:crashed', () => this.handleRoundCrashed());
+      this.socket.on('bet:confirmed', (data) => this.handleBetConfirmed(data));
+      this.socket.on('bet:queued', () => this.handleBetQueued());
+      this.socket.on('cashout:confirmed', (data) => this.handleCashoutConfirmed(data));
+      this.socket.on('player:cashedout', (data) => this.handlePlayerCashout(data));
+      this.socket.on('error', (data) => this.handleError(data));
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    clearInterval(this.pingInterval);
+    clearTimeout(this.cashoutTimer);
+    if (this.socket) this.socket.disconnect();
+  }
+
+  startClockSync() {
+    clearInterval(this.pingInterval);
+    this.clock.reset();
+    const ping = () => this.socket.emit('ping', { clientTime: Date.now() });
+    ping();
+    this.pingInterval = setInterval(ping, 5000);
+  }
+
+  handleNewRound(data) {
+    this.stats.rounds++;
+    this.clock.seed(data.serverTime);
+    if (this.pending.bet) return;
+
+    const target = pickTarget(this.strategy);
+    this.bet = { roundId: data.roundId, betId: null, target, settled: false };
+    this.pending.bet = Date.now();
+    this.stats.betsRequested++;
+
+    this.socket.emit('game:bet', {
+      usdAmount: this.stake,
+      cryptocurrency: this.cryptocurrency,
+      autoCashoutAt: this.auto ? parseFloat(target.toFixed(2)) : undefined,
+      slot: 1
+    });
+  }
+
+  handleBetConfirmed(data) {
+    if (!this.pending.bet) return;
+
+    this.stats.betLatencies.push(Date.now() - this.pending.bet);
+    this.stats.betsConfirmed++;
+    this.stats.wagered += data.usdAmount;
+    this.pending.bet = null;
+    if (this.bet) this.bet.betId = data.betId;
+  }
+
+  // The bet arrived after betting closed; it plays next round without the bot
+  // tracking it, so the bot's next bet may be turned away for the slot
+  handleBetQueued() {
+    if (!this.pending.bet) return;
+
+    this.stats.betsQueued++;
+    this.pending.bet = null;
+    this.bet = null;
+  }
+
+  // Press cash out when the curve reaches the target, timed like the web client
+  handleRoundStarted(data) {
+    this.clock.seed(data.serverTime);
+    if (this.auto || !this.bet || !this.bet.betId || !data.curve) return;
+
+    const curve = createCurve(data.curve);
+    const pressAt = data.startedAt + curve.timeAt(this.bet.target) * 1000;
+    const delay = Math.max(0, pressAt - this.clock.now());
+    this.cashoutTimer = setTimeout(() => this.requestCashout(), delay);
+  }
+
+  requestCashout() {
+    if (!this.bet || this.bet.settled) return;
+
+    this.pending.cashout = Date.now();
+    this.stats.cashoutsRequested++;
+    this.socket.emit('game:cashout', {
+      betId: this.bet.betId,
+      clientTime: Math.round(this.clock.now())
+    });
+  }
+
+  handleCashoutConfirmed(data) {
+    if (this.pending.cashout) {
+      this.stats.cashoutLatencies.push(Date.now() - this.pending.cashout);
+      this.pending.cashout = null;
+    }
+    this.stats.cashoutsConfirmed++;
+    this.stats.paidOut += data.payout.usdAmount;
+    if (this.bet && this.bet.betId === data.betId) this.bet.settled = true;
+  }
+
+  handlePlayerCashout(data) {
+    if (data.playerId !== this.playerId || !data.auto) return;
+
+    this.stats.autoCashouts++;
+    this.stats.paidOut += data.payout.usd;
+    if (this.bet && this.bet.betId === data.betId) this.bet.settled = true;
+  }
+
+  handleRoundCrashed() {
+    clearTimeout(this.cashoutTimer);
+    // A pressed cashout may still be confirmed during the late cashout window
+    if (this.bet && this.bet.betId && !this.bet.settled && !this.pending.cashout) {
+      this.stats.lost++;
+    }
+    this.bet = null;
+  }
+
+  handleError(data) {
+    const message = (data && data.message) || 'Unknown error';
+    this.stats.errors[message] = (this.stats.errors[message] || 0) + 1;
+
+    if (this.pending.cashout) {
+      this.stats.cashoutsRejected++;
+      this.pending.cashout = null;
+    } else if (this.pending.bet) {
+      this.stats.betsRejected++;
+      this.pending.bet = null;
+      this.bet = null;
+    }
+
+    if (message.startsWith('Insufficient balance') && this.topUp > 0) {
+      this.deposit().catch(() => {});
+    }
+  }
+
+  deposit() {
+    return axios.post(`${this.url}/api/wallet/deposit`, {
+      playerId: this.playerId,
+      amount: this.topUp,
+      cryptocurrency: this.cryptocurrency
+    });
+  }
+}
+
+// Spawns `bots` BotPlayers, lets them play for a while and reports what they saw
+class BotSwarm {
+  constructor({
+    url = 'http://localhost:3000',
+    bots = 10,
+    tableId,
+    strategies = ['fixed:2'],
+    stake = 1,
+    cryptocurrency = 'USDT',
+    cashout = 'manual',
+    ramp = 50,
+    topUp = 1000
+  } = {}) {
+    if (!(bots > 0)) throw new Error('Bot count must be positive');
+    if (!(stake > 0)) throw new Error('Stake must be positive');
+    if (!['manual', 'auto'].includes(cashout)) throw new Error(`Unknown cashout mode: ${cashout}`);
+
+    this.url = url;
+    this.tableId = tableId;
+    this.strategies = strategies.map(s => (typeof s === 'string' ? parseStrategy(s) : s));
+    this.stake = stake;
+    this.cryptocurrency = cryptocurrency;
+    this.cashout = cashout;
+    this.ramp = ramp; // ms between bot connections
+    this.topUp = topUp;
+    this.runId = Date.now().toString(36);
+    this.bots = Array.from({ length: bots }, (_, i) => new BotPlayer({
+      url,
+      playerId: `bot-${this.runId}-${i + 1}`,
+      tableId,
+      strategy: this.strategies[i % this.strategies.length],
+      stake,
+      cryptocurrency,
+      cashout,
+      topUp
+    }));
+    this.failed = []; // { playerId, message } of bots that never joined
+  }
+
+  async start() {
+    const joins = [];
+    for (const bot of this.bots) {
+      joins.push(bot.start().catch(error => {
+        this.failed.push({ playerId: bot.playerId, message: error.message });
+        bot.stop();
+      }));
+      await new Promise(resolve => setTimeout(resolve, this.ramp));
+    }
+    await Promise.all(joins);
+    this.startedAt = Date.now();
+  }
+
+  stop() {
+    this.bots.forEach(bot => bot.stop());
+    this.stoppedAt = Date.now();
+  }
+
+  async run(duration) {
+    await this.start();
+    await new Promise(resolve => setTimeout(resolve, duration));
+    this.stop();
+    return this.report();
+  }
+
+  report() {
+    const total = (key) => this.bots.reduce((sum, bot) => sum + bot.stats[key], 0);
+    const all = (key) => this.bots.flatMap(bot => bot.stats[key]);
+
+    const errors = {};
+    for (const bot of this.bots) {
+      for (const [message, count] of Object.entries(bot.stats.errors)) {
+        errors[message] = (errors[message] || 0) + count;
+      }
+    }
+    const errorCount = Object.values(errors).reduce((sum, count) => sum + count, 0);
+    const requests = total('betsRequested') + total('cashoutsRequested');
+    const wagered = total('wagered');
+
+    return {
+      parameters: {
+        url: this.url,
+        tableId: this.tableId || null,
+        bots: this.bots.length,
+        strategies: this.strategies.map(s => s.name),
+        stake: this.stake,
+        cryptocurrency: this.cryptocurrency,
+        cashout: this.cashout
+      },
+      durationSeconds: ((this.stoppedAt || Date.now()) - (this.startedAt || Date.now())) / 1000,
+      connections: {
+        joined: this.bots.length - this.failed.length,
+        failed: this.failed,
+        disconnects: total('disconnects')
+      },
+      rounds: Math.max(0, ...this.bots.map(bot => bot.stats.rounds)),
+      bets: {
+        requested: total('betsRequested'),
+        confirmed: total('betsConfirmed'),
+        rejected: total('betsRejected'),
+        queued: total('betsQueued'),
+        latencyMs: summarize(all('betLatencies'))
+      },
+      cashouts: {
+        requested: total('cashoutsRequested'),
+        confirmed: total('cashoutsConfirmed'),
+        rejected: total('cashoutsRejected'),
+        auto: total('autoCashouts'),
+        lost: total('lost'),
+        // From sending game:cashout to receiving cashout:confirmed
+        latencyMs: summarize(all('cashoutLatencies'))
+      },
+      errors: {
+        count: errorCount,
+        rate: requests > 0 ? errorCount / requests : 0,
+        byMessage: errors
+      },
+      wagered,
+      paidOut: total('paidOut'),
+      rtp: wagered > 0 ? total('paidOut') / wagered : null
+    };
+  }
+}
+
+module.exports = { BotPlayer, BotSwarm, summarize };
@@ -0,0 +1,19 @@
+// Command-line options of the scripts: `--key value` pairs into an object.
+// `--strategy` may be repeated and collects into an array.
+const parseArgs = (argv) => {
+  const options = { strategy: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+
+    const key = arg.slice(2);
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Missing value for ${arg}`);
+
+    if (key === 'strategy') options.strategy.push(value);
+    else options[key] = value;
+  }
+  return options;
+};
+
+module.exports = { parseArgs };
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Headless bot players against a running server.
+//
+//   npm run bots -- --bots 200 --table low-stakes --duration 120 \
+//     --strategy fixed:2 --strategy random:1.1:5 --out bots.json
+//
+// Options (all optional):
+//   --url <url>           server to connect to (default http://localhost:PORT)
+//   --bots <n>            number of bots (default 10)
+//   --table <id>          table to join (default: the server's default table)
+//   --strategy <spec>     fixed:<target> or random:<min>:<max>; bots take turns
+//   --stake <n>           USD stake per bet (default 1)
+//   --currency <c>        BTC, ETH or USDT (default USDT)
+//   --cashout manual|auto press cash out like a player, or set autoCashoutAt
+//   --duration <s>        seconds to play once every bot has joined (default 60)
+//   --ramp <ms>           delay between bot connections (default 50)
+//   --top-up <n>          deposit this much when a bot runs out (default 1000)
+//   --out <file>          write the JSON report to a file instead of stdout
+//
+// Ctrl+C stops the bots early and still prints the report.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { BotSwarm } = require('./BotSwarm');
+const { parseArgs } = require('./args');
+
+const writeReport = (report, out) => {
+  const output = JSON.stringify(report, null, 2) + '\n';
+  if (out) {
+    fs.writeFileSync(out, output);
+    console.error(`Report written to ${out}`);
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  const swarm = new BotSwarm({
+    url: options.url || `http://localhost:${process.env.PORT || 3000}`,
+    bots: options.bots !== undefined ? parseInt(options.bots) : 10,
+    tableId: options.table,
+    strategies: options.strategy.length > 0 ? options.strategy : ['fixed:2'],
+    stake: options.stake !== undefined ? parseFloat(options.stake) : 1,
+    cryptocurrency: (options.currency || 'USDT').toUpperCase(),
+    cashout: options.cashout || 'manual',
+    ramp: options.ramp !== undefined ? parseInt(options.ramp) : 50,
+    topUp: options['top-up'] !== undefined ? parseFloat(options['top-up']) : 1000
+  });
+
+  process.on('SIGINT', () => {
+    swarm.stop();
+    writeReport(swarm.report(), options.out);
+    process.exit(0);
+  });
+
+  const duration = (options.duration !== undefined ? parseFloat(options.duration) : 60) * 1000;
+  console.error(`Starting ${swarm.bots.length} bots against ${swarm.url}`);
+  const report = await swarm.run(duration);
+
+  writeReport(report, options.out);
+  process.exit(0);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Ledger maintenance against the database in MONGODB_URI.
+//
+//   npm run ledger -- check   check every player's wallet and held funds
+//                             against the ledger, and that the ledger sums
+//                             to zero per currency; exits 1 on any mismatch
+//   npm run ledger -- open    post opening balances for players created
+//                             before the ledger (players with no entries)
+//
+// Run `open` once, while no server is running.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Player = require('../models/Player');
+const LedgerEntry = require('../models/LedgerEntry');
+const Ledger = require('../services/Ledger');
+const { formatUnits } = require('../services/Units');
+
+const check = async () => {
+  let problems = 0;
+
+  const trial = await Ledger.trialBalance();
+  for (const [cryptocurrency, total] of Object.entries(trial)) {
+    if (total !== 0n) {
+      console.log(`Ledger does not balance in ${cryptocurrency}: entries sum to ${formatUnits(total, cryptocurrency)}`);
+      problems++;
+    }
+  }
+
+  let players = 0;
+  for await (const player of Player.find().cursor()) {
+    players++;
+    const { discrepancies } = await Ledger.reconcile(player);
+    for (const { account, cryptocurrency, stored, ledger } of discrepancies) {
+      console.log(`${account} ${cryptocurrency}: stored ${formatUnits(stored, cryptocurrency)}, ledger ${formatUnits(ledger, cryptocurrency)}`);
+      problems++;
+    }
+  }
+
+  console.log(problems === 0
+    ? `Ledger balanced, ${players} players checked`
+    : `${problems} mismatches found across ${players} players`);
+  return problems === 0;
+};
+
+const open = async () => {
+  let opened = 0;
+  for await (const { playerId } of Player.find().select('playerId').cursor()) {
+    if (await LedgerEntry.exists({ playerId })) continue;
+
+    await mongoose.connection.transaction(async (session) => {
+      const player = await Player.findOne({ playerId }).session(session);
+      await Ledger.postBalances(player, { type: 'opening', from: Ledger.EXTERNAL }, session);
+    });
+    opened++;
+  }
+
+  console.log(`Opening balances posted for ${opened} players`);
+  return true;
+};
+
+const commands = { check, open };
+
+const main = async () => {
+  const command = commands[process.argv[2]];
+  if (!command) throw new Error('Usage: npm run ledger -- check|open');
+
+  await connectDB();
+  const ok = await command();
+  await mongoose.disconnect();
+  process.exit(ok ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// Convert crypto amounts stored as floating-point currency amounts into
+// integer base units (Decimal128), in the database in MONGODB_URI.
+//
+//   npm run migrate-units
+//
+// Only amounts still stored as numbers are converted, so the script can be
+// re-run safely. Run it while no server is running, then check the ledger
+// with `npm run ledger -- check`: float balances that had drifted from the
+// sum of their movements show up there as one or two base units.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Player = require('../models/Player');
+const HouseBankroll = require('../models/HouseBankroll');
+const Transaction = require('../models/Transaction');
+const QueuedBet = require('../models/QueuedBet');
+const LedgerEntry = require('../models/LedgerEntry');
+const GameRound = require('../models/GameRound');
+const RoundEvent = require('../models/RoundEvent');
+const Units = require('../services/Units');
+
+const toDecimal = (units) => mongoose.Types.Decimal128.fromString(units.toString());
+
+// Collect `$set`s for the legacy amounts of one document
+const createUpdate = () => {
+  const $set = {};
+  return {
+    $set,
+    amount(path, value, cryptocurrency) {
+      if (typeof value === 'number') $set[path] = toDecimal(Units.fromNumber(value, cryptocurrency));
+    },
+    wallet(path, wallet) {
+      for (const cryptocurrency of Units.CURRENCIES) {
+        this.amount(`${path}.${cryptocurrency}`, wallet?.[cryptocurrency], cryptocurrency);
+      }
+    },
+    get changed() {
+      return Object.keys($set).length > 0;
+    }
+  };
+};
+
+// Amounts of a bet and its settlements; returns the bet as it should be stored
+const migrateBet = (bet) => {
+  const c = bet.cryptocurrency;
+  const convert = (value) => (typeof value === 'number' ? toDecimal(Units.fromNumber(value, c)) : value);
+
+  return {
+    ...bet,
+    cryptoAmount: convert(bet.cryptoAmount),
+    payout: bet.payout && { ...bet.payout, cryptoAmount: convert(bet.payout.cryptoAmount) },
+    settlements: (bet.settlements || []).map(settlement => ({
+      ...settlement,
+      stakeCryptoAmount: convert(settlement.stakeCryptoAmount),
+      payout: settlement.payout && { ...settlement.payout, cryptoAmount: convert(settlement.payout.cryptoAmount) }
+    }))
+  };
+};
+
+const migrations = [
+  [Player, (doc, update) => {
+    update.wallet('wallet', doc.wallet);
+    update.wallet('heldFunds', doc.heldFunds);
+  }],
+  [HouseBankroll, (doc, update) => {
+    for (const field of ['balance', 'totalWagered', 'totalPaidOut', 'totalRefunded']) {
+      update.amount(field, doc[field], doc.cryptocurrency);
+    }
+  }],
+  [Transaction, (doc, update) => {
+    update.amount('cryptoAmount', doc.cryptoAmount, doc.cryptocurrency);
+    update.wallet('balanceAfter', doc.balanceAfter);
+  }],
+  [QueuedBet, (doc, update) => {
+    update.amount('cryptoAmount', doc.cryptoAmount, doc.cryptocurrency);
+  }],
+  [LedgerEntry, (doc, update) => {
+    update.amount('amount', doc.amount, doc.cryptocurrency);
+    update.amount('balanceAfter', doc.balanceAfter, doc.cryptocurrency);
+  }],
+  [GameRound, (doc, update) => {
+    update.wallet('exposureCaps', doc.exposureCaps);
+
+    const bets = (doc.bets || []).map(migrateBet);
+    if (JSON.stringify(bets) !== JSON.stringify(doc.bets || [])) update.$set.bets = bets;
+  }],
+  // The event log keeps amounts as base-unit strings
+  [RoundEvent, (doc, update) => {
+    const c = doc.data?.cryptocurrency;
+    if (!c) return;
+    for (const field of ['cryptoAmount', 'stake', 'payout']) {
+      const value = doc.data[field];
+      if (typeof value === 'number') update.$set[`data.${field}`] = Units.fromNumber(value, c).toString();
+    }
+  }]
+];
+
+const main = async () => {
+  await connectDB();
+
+  // Raw documents: read through the models, legacy numbers would be taken
+  // as base units
+  for (const [Model, migrate] of migrations) {
+    let converted = 0;
+    for await (const doc of Model.collection.find()) {
+      const update = createUpdate();
+      migrate(doc, update);
+      if (!update.changed) continue;
+
+      await Model.collection.updateOne({ _id: doc._id }, { $set: update.$set });
+      converted++;
+    }
+    console.log(`${Model.collection.collectionName}: ${converted} documents converted`);
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Monte Carlo RTP simulator.
+//
+//   npm run simulate -- --rounds 1000000 --table high-roller \
+//     --strategy fixed:2 --strategy random:1.1:10 --format csv --out report.csv
+//
+// Options (all optional):
+//   --table <id>          start from a configured table's parameters
+//   --house-edge <n>      override the house edge (fraction, e.g. 0.01)
+//   --max-crash <n>       override the max crash multiplier
+//   --curve <json>        override the curve, e.g. '{"type":"linear","rate":0.1}'
+//   --strategy <spec>     fixed:<target> or random:<min>:<max>; repeat for more players
+//   --stake <n>           stake per player per round (default 1)
+//   --rounds <n>          rounds to simulate (default 1000000)
+//   --seed <s>            server seed, for reproducible runs
+//   --format json|csv     output format (default json)
+//   --out <file>          write to a file instead of stdout
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { getTable } = require('../config/tables');
+const { RtpSimulator, toCsv } = require('../services/RtpSimulator');
+const { parseArgs } = require('./args');
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  const table = getTable(options.table);
+  if (!table) throw new Error(`Unknown table: ${options.table}`);
+
+  const format = options.format || 'json';
+  if (!['json', 'csv'].includes(format)) throw new Error(`Unknown format: ${format}`);
+
+  const simulator = new RtpSimulator({
+    houseEdge: options['house-edge'] !== undefined ? parseFloat(options['house-edge']) : table.houseEdge,
+    maxCrash: options['max-crash'] !== undefined ? parseFloat(options['max-crash']) : table.maxCrash,
+    curve: options.curve ? JSON.parse(options.curve) : table.curve,
+    strategies: options.strategy.length > 0 ? options.strategy : ['fixed:2'],
+    stake: options.stake !== undefined ? parseFloat(options.stake) : 1,
+    seed: options.seed
+  });
+
+  const report = simulator.run(parseInt(options.rounds) || 1000000);
+  report.parameters.table = table.id;
+
+  const output = format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`Report written to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -10,8 +10,10 @@ const connectDB = require('./config/database');
 const logger = require('./config/logger');
 const gameRoutes = require('./routes/gameRoutes');
 const walletRoutes = require('./routes/walletRoutes');
-const GameManager = require('./services/GameManager');
+const adminRoutes = require('./routes/adminRoutes');
+const TableRegistry = require('./services/TableRegistry');
 const WebSocketHandler = require('./services/WebSocketHandler');
+const WithdrawalService = require('./services/WithdrawalService');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -28,7 +30,8 @@ connectDB();
 
 // Security middleware
 app.use(helmet());
-app.use(cors());
+// Browsers may read whether a response was an idempotent replay
+app.use(cors({ exposedHeaders: ['Idempotent-Replayed'] }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -51,13 +54,19 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize game manager and WebSocket handler
-const gameManager = new GameManager(io);
-const webSocketHandler = new WebSocketHandler(io, gameManager);
+// Initialize one game manager per table and the WebSocket handler
+const tableRegistry = new TableRegistry(io);
+const webSocketHandler = new WebSocketHandler(io, tableRegistry);
+app.set('tableRegistry', tableRegistry);
+
+// Withdrawal updates reach the player's sockets on whichever instance they use
+const withdrawals = new WithdrawalService(tableRegistry.playerIo);
+app.set('withdrawals', withdrawals);
 
 // Routes
 app.use('/api/game', gameRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -65,15 +74,18 @@ app.get('/health', (req, res) => {
     status: 'OK', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV
+    environment: process.env.NODE_ENV,
+    instanceId: tableRegistry.instanceId,
+    leader: tableRegistry.election.isLeader
   });
 });
 
 // Error handling middleware
 app.use(errorHandler);
 
-// Start the game manager
-gameManager.start();
+// Join the cluster; the table loops run on whichever instance is elected leader
+tableRegistry.start();
+withdrawals.resumeApproved().catch(error => logger.error('Error resuming withdrawals:', error));
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -82,9 +94,12 @@ server.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  gameManager.stop();
+  // Hands the leader lease back so another instance takes over at once
+  await tableRegistry.stop();
+  // Let payouts already sent finish, so none is left half recorded
+  await withdrawals.whenIdle();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
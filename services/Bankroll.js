@@ -0,0 +1,77 @@
+const HouseBankroll = require('../models/HouseBankroll');
+const logger = require('../config/logger');
+const { envNumber } = require('../config/env');
+const Units = require('./Units');
+
+const CURRENCIES = ['BTC', 'ETH', 'USDT'];
+
+// Starting bankroll, used only when a currency has no bankroll record yet
+const DEFAULT_BANKROLL = { BTC: '10', ETH: '100', USDT: '500000' };
+
+// Share of the bankroll a single round may pay out, per currency; 0 turns the
+// cap off
+const EXPOSURE_RATIO = envNumber('HOUSE_MAX_ROUND_EXPOSURE', 0.02, { min: 0, max: 1 });
+const EXPOSURE_PPM = BigInt(Math.round(EXPOSURE_RATIO * 1e6));
+
+// Tracks the house bankroll and derives each round's payout cap from it. One
+// instance is shared by every table; balances are cached so the cap can be
+// checked on every multiplier tick. Amounts are BigInt base units.
+class Bankroll {
+  constructor() {
+    this.balances = {};
+  }
+
+  // Null when rounds are not capped
+  static maxRoundPayout(balance) {
+    if (EXPOSURE_PPM === 0n) return null;
+    return balance > 0n ? balance * EXPOSURE_PPM / 1000000n : 0n;
+  }
+
+  async load() {
+    for (const cryptocurrency of CURRENCIES) {
+      const initial = Units.parseUnits(process.env[`HOUSE_BANKROLL_${cryptocurrency}`] || DEFAULT_BANKROLL[cryptocurrency], cryptocurrency);
+      const bankroll = await HouseBankroll.findOneAndUpdate(
+        { cryptocurrency },
+        { $setOnInsert: { balance: initial } },
+        { upsert: true, new: true }
+      );
+      this.balances[cryptocurrency] = bankroll.balance;
+    }
+    logger.info(`House bankroll loaded: ${CURRENCIES.map(c => `${Units.formatUnits(this.balances[c], c)} ${c}`).join(', ')}`);
+  }
+
+  recordBet(cryptocurrency, amount, session) {
+    return this.apply(cryptocurrency, amount, { totalWagered: amount }, session);
+  }
+
+  recordPayout(cryptocurrency, amount, session) {
+    return this.apply(cryptocurrency, -amount, { totalPaidOut: amount }, session);
+  }
+
+  recordRefund(cryptocurrency, amount, session) {
+    return this.apply(cryptocurrency, -amount, { totalRefunded: amount }, session);
+  }
+
+  // Runs inside the bet or payout's transaction, so a failed update rolls the
+  // player's side back too. The cached balance may run ahead of an aborted
+  // transaction until the next update corrects it.
+  async apply(cryptocurrency, delta, totals, session) {
+    const bankroll = await HouseBankroll.findOneAndUpdate(
+      { cryptocurrency },
+      { $inc: { balance: delta, ...totals } },
+      { upsert: true, new: true, session }
+    );
+    this.balances[cryptocurrency] = bankroll.balance;
+  }
+
+  maxRoundPayout(cryptocurrency) {
+    return Bankroll.maxRoundPayout(this.balances[cryptocurrency] ?? 0n);
+  }
+
+  // Caps fixed for a round when betting closes
+  roundCaps() {
+    return Object.fromEntries(CURRENCIES.map(c => [c, this.maxRoundPayout(c)]));
+  }
+}
+
+module.exports = Bankroll;
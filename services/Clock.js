@@ -0,0 +1,113 @@
+// Time source and timers for the game loop. GameManager takes a clock so tests
+// can drive a round through virtual time instead of waiting on real timers.
+
+class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(fn, ms) {
+    return setTimeout(fn, ms);
+  }
+
+  clearTimeout(handle) {
+    clearTimeout(handle);
+  }
+
+  setInterval(fn, ms) {
+    return setInterval(fn, ms);
+  }
+
+  clearInterval(handle) {
+    clearInterval(handle);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+}
+
+// Virtual time: nothing fires until `advance` moves the clock. Timers due at
+// the same instant fire in the order they were scheduled, and pending promise
+// callbacks are drained after each one so async handlers finish in step.
+class VirtualClock {
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = new Map(); // id -> { at, fn, interval }
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(fn, ms = 0) {
+    return this.schedule(fn, ms, null);
+  }
+
+  setInterval(fn, ms) {
+    if (!(ms > 0)) throw new Error('Interval must be positive');
+    return this.schedule(fn, ms, ms);
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  schedule(fn, ms, interval) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.time + Math.max(0, ms || 0), fn, interval });
+    return id;
+  }
+
+  // Next timer due at or before `limit`, earliest first, then by id
+  nextDue(limit) {
+    let next = null;
+    for (const [id, timer] of this.timers) {
+      if (timer.at > limit) continue;
+      if (!next || timer.at < next.timer.at || (timer.at === next.timer.at && id < next.id)) {
+        next = { id, timer };
+      }
+    }
+    return next;
+  }
+
+  async advance(ms) {
+    const target = this.time + ms;
+
+    let due = this.nextDue(target);
+    while (due) {
+      const { id, timer } = due;
+      this.time = timer.at;
+
+      if (timer.interval) timer.at += timer.interval;
+      else this.timers.delete(id);
+
+      timer.fn();
+      await VirtualClock.flush();
+      due = this.nextDue(target);
+    }
+
+    this.time = target;
+    await VirtualClock.flush();
+  }
+
+  async advanceTo(time) {
+    await this.advance(Math.max(0, time - this.time));
+  }
+
+  // Let queued promise callbacks run
+  static flush() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+module.exports = { SystemClock, VirtualClock };
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const ClusterMessage = require('../models/ClusterMessage');
+const logger = require('../config/logger');
+
+// A command that may still run on the leader after we stopped waiting for it
+const outcomeUnknownError = (message) => {
+  const error = new Error(message);
+  error.outcomeUnknown = true;
+  return error;
+};
+
+// Messaging between server instances over a capped MongoDB collection that
+// every instance tails. The leader relays its socket events through it, and
+// followers send it the game commands their players issue. Emits `event` for
+// relayed socket events from other instances. Off unless CLUSTER_ENABLED is
+// set, so a single instance does not write every socket event to the database.
+class ClusterBus extends EventEmitter {
+  constructor(instanceId, { enabled = process.env.CLUSTER_ENABLED === 'true' } = {}) {
+    super();
+    this.instanceId = instanceId;
+    this.enabled = enabled;
+    this.commandTimeout = parseInt(process.env.CLUSTER_COMMAND_TIMEOUT) || 5000;
+    this.retryDelay = 500;
+    this.running = false;
+    this.cursor = null;
+    this.lastId = null; // Last message seen, so a reopened cursor resumes after it
+    this.pending = new Map(); // commandId -> { resolve, reject, timer }
+    this.commandHandler = null;
+  }
+
+  start() {
+    if (!this.enabled) return;
+
+    this.running = true;
+    this.lastId = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+    this.tail();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.cursor) this.cursor.close().catch(() => {});
+
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(outcomeUnknownError('Server is shutting down'));
+    }
+    this.pending.clear();
+  }
+
+  // A tailable cursor ends when the collection is empty or the connection
+  // drops, so keep reopening it while the bus runs
+  async tail() {
+    while (this.running) {
+      try {
+        this.cursor = ClusterMessage.find({ _id: { $gt: this.lastId } })
+          .tailable(true, { awaitData: true })
+          .lean()
+          .cursor();
+
+        for await (const message of this.cursor) {
+          this.lastId = message._id;
+          this.dispatch(message);
+        }
+      } catch (error) {
+        if (this.running) logger.error('Cluster bus cursor error:', error);
+      }
+
+      if (this.running) await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+    }
+  }
+
+  dispatch(message) {
+    if (message.origin === this.instanceId) return;
+    if (message.target && message.target !== this.instanceId) return;
+
+    if (message.kind === 'event') {
+      this.emit('event', message);
+    } else if (message.kind === 'command') {
+      this.respond(message);
+    } else if (message.kind === 'reply') {
+      this.settle(message);
+    }
+  }
+
+  async publish(message) {
+    await ClusterMessage.create({ origin: this.instanceId, ...message });
+  }
+
+  // Wrap a Socket.IO server so everything emitted to a room is also relayed
+  // to the other instances. `anyInstance` marks events that do not come from
+  // the leader's table loops, which even the leader delivers.
+  relay(io, { anyInstance = false } = {}) {
+    if (!this.enabled) return io;
+
+    return {
+      to: (room) => ({
+        emit: (event, data) => {
+          io.to(room).emit(event, data);
+          this.publish({ kind: 'event', room, event, data, anyInstance })
+            .catch(error => logger.error(`Error relaying ${event}:`, error));
+        }
+      })
+    };
+  }
+
+  // Send a command to another instance and wait for its reply
+  request(target, { tableId, action, args }) {
+    if (!this.enabled) {
+      return Promise.reject(new Error('Game server runs on another instance and clustering is disabled'));
+    }
+
+    const commandId = crypto.randomBytes(8).toString('hex');
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(commandId);
+        reject(outcomeUnknownError('Game server did not respond, please try again'));
+      }, this.commandTimeout);
+      this.pending.set(commandId, { resolve, reject, timer });
+
+      this.publish({ kind: 'command', target, commandId, tableId, action, args })
+        .catch(error => {
+          clearTimeout(timer);
+          this.pending.delete(commandId);
+          reject(error);
+        });
+    });
+  }
+
+  // Run commands sent to this instance with `handler(command)`; what it
+  // returns or throws goes back to the sender
+  serve(handler) {
+    this.commandHandler = handler;
+  }
+
+  async respond(command) {
+    const reply = { kind: 'reply', target: command.origin, commandId: command.commandId };
+    try {
+      if (!this.commandHandler) throw new Error('Instance does not accept commands');
+      const result = await this.commandHandler(command);
+      // Plain JSON, so documents and dates survive the trip the same way a
+      // socket would carry them
+      reply.result = result === undefined ? null : JSON.parse(JSON.stringify(result));
+    } catch (error) {
+      reply.error = error.message;
+      reply.statusCode = error.statusCode;
+    }
+
+    try {
+      await this.publish(reply);
+    } catch (error) {
+      logger.error(`Error replying to ${command.action} from ${command.origin}:`, error);
+    }
+  }
+
+  settle(reply) {
+    const pending = this.pending.get(reply.commandId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pending.delete(reply.commandId);
+
+    if (reply.error) {
+      const error = new Error(reply.error);
+      if (reply.statusCode) error.statusCode = reply.statusCode;
+      pending.reject(error);
+    } else {
+      pending.resolve(reply.result);
+    }
+  }
+}
+
+module.exports = ClusterBus;
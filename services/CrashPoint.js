@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { envNumber } = require('../config/env');
+
+// Crash point distribution, shared by the game loop and the /verify route so
+// the two can never disagree.
+//
+// crash = max(1, (1 - houseEdge) / (1 - u)), capped at maxCrash, with u uniform
+// in [0, 1). A fraction `houseEdge` of rounds crash instantly at 1.00x, and
+// P(crash > x) = (1 - houseEdge) / x for 1 <= x < maxCrash, so cashing out at
+// any target below the cap returns 1 - houseEdge on average.
+
+const DEFAULT_HOUSE_EDGE = envNumber('HOUSE_EDGE', 0.01, { min: 0, max: 0.99 });
+
+class CrashPoint {
+  constructor({ houseEdge = DEFAULT_HOUSE_EDGE, maxCrash = Infinity } = {}) {
+    if (!(houseEdge >= 0 && houseEdge < 1)) {
+      throw new Error('House edge must be at least 0 and below 1');
+    }
+    if (!(maxCrash > 1)) {
+      throw new Error('Max crash must be above 1');
+    }
+    this.houseEdge = houseEdge;
+    this.maxCrash = maxCrash;
+  }
+
+  // Uniform value in [0, 1) from the first 52 bits of
+  // HMAC-SHA256(key = server seed, message = `${clientSeed}:${nonce}`)
+  static uniform(seed, clientSeed, nonce) {
+    const hash = crypto.createHmac('sha256', seed)
+      .update(`${clientSeed}:${nonce}`)
+      .digest('hex');
+    return parseInt(hash.substring(0, 13), 16) / Math.pow(2, 52);
+  }
+
+  fromUniform(uniform) {
+    const crash = (1 - this.houseEdge) / (1 - uniform);
+    return Math.min(Math.max(crash, 1), this.maxCrash);
+  }
+
+  calculate(seed, clientSeed, nonce) {
+    return this.fromUniform(CrashPoint.uniform(seed, clientSeed, nonce));
+  }
+
+  // Probability that a round runs past `multiplier`
+  survival(multiplier) {
+    if (multiplier < 1) return 1;
+    if (multiplier >= this.maxCrash) return 0;
+    return Math.min(1, (1 - this.houseEdge) / multiplier);
+  }
+
+  // Expected return per unit staked when cashing out at `multiplier`
+  rtpAt(multiplier) {
+    return multiplier * this.survival(multiplier);
+  }
+
+  describe() {
+    return {
+      houseEdge: this.houseEdge,
+      instantCrashProbability: this.houseEdge,
+      maxCrash: this.maxCrash,
+      rtp: 1 - this.houseEdge
+    };
+  }
+}
+
+// Also the default of every table in config/tables.js
+CrashPoint.DEFAULT_HOUSE_EDGE = DEFAULT_HOUSE_EDGE;
+
+module.exports = CrashPoint;
@@ -1,68 +1,158 @@
 // File: services/GameManager.js
 
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const GameRound = require('../models/GameRound');
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
+const QueuedBet = require('../models/QueuedBet');
+const RoundEvent = require('../models/RoundEvent');
+const GameConfig = require('../models/GameConfig');
 const logger = require('../config/logger');
 const CryptoService = require('./CryptoService');
+const HashChain = require('./HashChain');
+const { createCurve } = require('./MultiplierCurve');
+const CrashPoint = require('./CrashPoint');
+const Bankroll = require('./Bankroll');
+const Ledger = require('./Ledger');
+const Units = require('./Units');
+const { SystemClock } = require('./Clock');
+const { pickSettings, validateSettings } = require('../config/tables');
+const { envNumber } = require('../config/env');
+
+// Independent bets a player may hold in one round
+const BET_SLOTS = [1, 2];
 
 class GameManager {
-  constructor(io) {
+  constructor(io, table, { bankroll = new Bankroll(), clock = new SystemClock() } = {}) {
     this.io = io;
+    this.table = table;
+    this.bankroll = bankroll; // Shared by all tables
+    this.clock = clock; // All loop timing goes through this, so tests can use virtual time
+    this.room = `table:${table.id}`;
     this.currentRound = null;
     this.multiplierInterval = null;
     this.players = new Map();
     this.cryptoService = new CryptoService();
+    this.seedChain = new HashChain(table.id);
+    this.curve = createCurve(table.curve);
+    this.crashDistribution = new CrashPoint(table);
     this.isGameActive = false;
     this.currentMultiplier = 1;
     this.gameStartTime = null;
-    this.isSaving = false; // Prevent parallel save
+    this.crashTime = null; // Seconds into the round at which the curve reaches the crash point
+    this.lastSyncAt = 0; // Clients animate the curve locally; sync ticks only correct drift
+    this.syncInterval = parseInt(process.env.MULTIPLIER_SYNC_INTERVAL) || 1000;
+    this.pendingCashouts = []; // Cashouts still settling when the round crashes
+    // Manual cashouts are judged at the client's press time, at most this far
+    // before the request arrived
+    this.latencyTolerance = parseInt(process.env.CASHOUT_LATENCY_TOLERANCE) || 50;
+    this.maxCompensation = parseInt(process.env.CASHOUT_MAX_COMPENSATION) || 250;
+    this.rotationRequested = false; // Rotate the seed chain at the next round boundary
+    // Any player can ask for a rotation, which builds a new chain for the whole
+    // table, so a chain stays active at least this long
+    this.rotationCooldown = envNumber('SEED_ROTATION_COOLDOWN', 3600, { min: 0 }) * 1000;
+    this.paused = false; // Set by admins; no new round starts while paused
+    this.idle = false; // Loop stopped at a round boundary because of a pause
+    this.stopped = false; // Set when this instance stops running the table
+    this.pendingConfig = null; // Admin changes waiting for the next round boundary
+    this.phaseTimer = null; // Betting window timer of the current round
+    this.nextRoundTimer = null; // Intermission timer before the next round
   }
 
-  start() {
-    logger.info('Game Manager starting...');
+  async start() {
+    logger.info(`Game Manager starting for table ${this.table.id}...`);
+    this.stopped = false;
+
+    try {
+      await this.loadConfig();
+    } catch (error) {
+      logger.error('Error loading game config:', error);
+    }
+
+    try {
+      await this.recoverOrphanedRounds();
+    } catch (error) {
+      logger.error('Error recovering orphaned rounds:', error);
+    }
+
     // Start the first round manually, next rounds will chain automatically
     this.startNewRound();
   }
 
   stop() {
-    logger.info('Game Manager stopping...');
-    if (this.multiplierInterval) clearInterval(this.multiplierInterval);
+    logger.info(`Game Manager stopping for table ${this.table.id}...`);
+    this.stopped = true;
+    if (this.multiplierInterval) this.clock.clearInterval(this.multiplierInterval);
+    this.clock.clearTimeout(this.phaseTimer);
+    this.clock.clearTimeout(this.nextRoundTimer);
+    this.isGameActive = false;
   }
 
   async startNewRound() {
+    this.nextRoundTimer = null;
+    // A round finishing after stop() must not start another
+    if (this.stopped) return;
+    if (this.paused) {
+      this.idle = true;
+      this.emitMaintenance('paused', 'Game paused for maintenance');
+      logger.info(`Table ${this.table.id} paused`);
+      return;
+    }
+
+    if (this.pendingConfig) this.applyConfig();
+
     try {
       if (this.currentRound && this.isGameActive) await this.endRound();
 
+      if (this.rotationRequested) await this.rotateSeedChain();
+
       const roundId = this.generateRoundId();
-      const seed = this.generateSeed();
+      const { seed, chainId, chainIndex } = await this.seedChain.next();
       const seedHash = this.hashSeed(seed);
-      const crashPoint = this.calculateCrashPoint(seed, roundId);
 
+      // The crash point is derived once betting closes, when the client seeds are known
       this.currentRound = new GameRound({
         roundId,
-        startTime: new Date(),
-        crashPoint,
+        tableId: this.table.id,
+        startTime: new Date(this.clock.now()),
         seed,
         seedHash,
+        chainId,
+        chainIndex,
         status: 'waiting',
         bets: []
       });
+      this.currentRound.$locals.eventSeq = 0;
 
       await this.currentRound.save();
 
-      // Emit new round start with 3 seconds betting window
-      this.io.emit('round:new', {
+      // Emit new round start with the table's betting window
+      this.emit('round:new', {
         roundId,
         seedHash,
-        bettingEndsIn: 3000
+        chainId,
+        chainIndex,
+        curve: this.curve.describe(),
+        bettingEndsIn: this.table.bettingWindow,
+        serverTime: this.clock.now()
       });
 
-      logger.info(`New round started: ${roundId}, crash point: ${crashPoint}`);
+      await this.recordEvent(this.currentRound, 'betting-opened', {
+        seedHash,
+        chainId,
+        chainIndex,
+        curve: this.curve.describe(),
+        bettingWindow: this.table.bettingWindow
+      });
+
+      logger.info(`New round started on ${this.table.id}: ${roundId}`);
 
-      // Start game phase after betting time (3 seconds)
-      setTimeout(() => this.startGamePhase(), 3000);
+      // Start game phase after the betting window
+      this.phaseTimer = this.clock.setTimeout(() => this.startGamePhase(), this.table.bettingWindow);
+
+      // Bets queued during the previous round join now that betting is open
+      await this.applyQueuedBets();
 
     } catch (error) {
       logger.error('Error starting new round:', error);
@@ -70,246 +160,1285 @@ class GameManager {
   }
 
   async startGamePhase() {
-    if (!this.currentRound) return;
+    this.phaseTimer = null;
+    if (!this.currentRound || this.currentRound.status !== 'waiting') return;
+
+    this.currentRound.status = 'active';
+
+    // Mix the client seeds of everyone who bet into the round's entropy, with
+    // the chain index as the nonce
+    const clientSeeds = [...new Set(this.currentRound.bets.map(b => b.clientSeed).filter(Boolean))].sort();
+    this.currentRound.clientSeeds = clientSeeds;
+    this.currentRound.clientSeed = this.combineClientSeeds(clientSeeds);
+    this.currentRound.nonce = this.currentRound.chainIndex;
+    this.currentRound.houseEdge = this.crashDistribution.houseEdge;
+    this.currentRound.maxCrash = this.crashDistribution.maxCrash;
+    this.currentRound.crashPoint = this.crashDistribution.calculate(
+      this.currentRound.seed,
+      this.currentRound.clientSeed,
+      this.currentRound.nonce
+    );
+
+    this.crashTime = this.curve.timeAt(this.currentRound.crashPoint);
+
+    // Fix this round's payout caps from the bankroll as it stands now
+    this.currentRound.exposureCaps = this.bankroll.roundCaps();
 
     this.isGameActive = true;
     this.currentMultiplier = 1;
-    this.gameStartTime = Date.now();
+    this.gameStartTime = this.clock.now();
 
-    this.currentRound.status = 'active';
-    await this.safeSave(this.currentRound);
+    const round = this.currentRound;
+    try {
+      await this.saveRound(round, {
+        status: round.status,
+        clientSeeds,
+        clientSeed: round.clientSeed,
+        nonce: round.nonce,
+        houseEdge: round.houseEdge,
+        maxCrash: round.maxCrash,
+        crashPoint: round.crashPoint,
+        exposureCaps: round.exposureCaps
+      });
+    } catch (error) {
+      logger.error('Error saving round:', error);
+    }
+
+    // Tick every `tickInterval` ms of the table
+    this.multiplierInterval = this.clock.setInterval(() => this.updateMultiplier(), this.table.tickInterval);
 
-    // Start multiplier updates every 100ms (or env var)
-    this.multiplierInterval = setInterval(() => this.updateMultiplier(), parseInt(process.env.MULTIPLIER_UPDATE_INTERVAL) || 100);
+    this.lastSyncAt = this.gameStartTime;
 
-    this.io.emit('round:started', { roundId: this.currentRound.roundId });
-    logger.info(`Game phase started for round: ${this.currentRound.roundId}`);
+    this.emit('round:started', {
+      roundId: this.currentRound.roundId,
+      startedAt: this.gameStartTime,
+      serverTime: this.clock.now(),
+      curve: this.curve.describe(),
+      clientSeed: this.currentRound.clientSeed,
+      nonce: this.currentRound.nonce
+    });
+
+    await this.recordEvent(this.currentRound, 'game-started', {
+      curve: this.curve.describe(),
+      clientSeeds: this.currentRound.clientSeeds,
+      clientSeed: this.currentRound.clientSeed,
+      nonce: this.currentRound.nonce,
+      bets: this.currentRound.bets.length
+    }, this.gameStartTime);
+    logger.info(`Game phase started for round: ${this.currentRound.roundId}, crash point: ${this.currentRound.crashPoint}`);
   }
 
   updateMultiplier() {
     if (!this.isGameActive || !this.currentRound) return;
 
-    const timeElapsed = (Date.now() - this.gameStartTime) / 1000;
-    const growthFactor = 0.1;
-    this.currentMultiplier = 1 + (timeElapsed * growthFactor);
+    const timeElapsed = (this.clock.now() - this.gameStartTime) / 1000;
+    const crashed = timeElapsed >= this.crashTime;
+    this.currentMultiplier = crashed
+      ? this.currentRound.crashPoint
+      : this.curve.multiplierAt(timeElapsed);
 
     this.currentRound.maxMultiplier = Math.max(this.currentRound.maxMultiplier || 1, this.currentMultiplier);
 
-    if (this.currentMultiplier >= this.currentRound.crashPoint) {
+    // Settle auto cashout targets reached since the last tick, including any
+    // passed between the last tick and the crash point
+    const capAt = this.exposureCapMultipliers();
+    this.processAutoCashouts(this.currentMultiplier, capAt);
+    this.enforceExposureCaps(this.currentMultiplier, capAt);
+
+    if (crashed) {
       this.crashGame();
       return;
     }
 
-    this.io.emit('multiplier:update', {
+    // Ticks keep running every `tickInterval` for cashouts and the crash;
+    // clients only get an occasional sync
+    const now = this.clock.now();
+    if (now - this.lastSyncAt < this.syncInterval) return;
+    this.lastSyncAt = now;
+
+    this.persistMaxMultiplier();
+    this.emit('multiplier:update', {
       roundId: this.currentRound.roundId,
-      multiplier: parseFloat(this.currentMultiplier.toFixed(2))
+      multiplier: parseFloat(this.currentMultiplier.toFixed(2)),
+      startedAt: this.gameStartTime,
+      serverTime: now,
+      curve: this.curve.describe()
     });
   }
 
+  // Keep the stored round's multiplier current, so crash recovery can settle
+  // open bets at about where the round stopped
+  persistMaxMultiplier() {
+    const { roundId, maxMultiplier } = this.currentRound;
+    GameRound.updateOne({ roundId }, { $max: { maxMultiplier } })
+      .catch(error => logger.error(`Error saving multiplier of round ${roundId}:`, error));
+  }
+
   async crashGame() {
     if (!this.isGameActive || !this.currentRound) return;
 
     this.isGameActive = false;
-    if (this.multiplierInterval) clearInterval(this.multiplierInterval);
+    if (this.multiplierInterval) this.clock.clearInterval(this.multiplierInterval);
 
-    await this.endRound();
-
-    this.io.emit('round:crashed', {
+    this.emit('round:crashed', {
       roundId: this.currentRound.roundId,
       crashPoint: this.currentRound.crashPoint,
       finalMultiplier: this.currentMultiplier
     });
 
+    await this.recordEvent(this.currentRound, 'crash', {
+      crashPoint: this.currentRound.crashPoint,
+      elapsed: this.crashTime
+    }, this.gameStartTime + this.crashTime * 1000);
+
+    // Cashouts pressed before the crash may still be in flight; the round
+    // stays open to them for the longest latency we compensate
+    await this.clock.sleep(this.maxCompensation);
+
+    await Promise.all(this.pendingCashouts);
+    this.pendingCashouts = [];
+
+    await this.endRound();
+
     logger.info(`Game crashed at ${this.currentRound.crashPoint}x for round: ${this.currentRound.roundId}`);
 
-    // Schedule next round after 3 seconds delay
-    setTimeout(() => {
+    this.scheduleNextRound();
+  }
+
+  // Start the next round after the table's intermission
+  scheduleNextRound() {
+    this.clock.clearTimeout(this.nextRoundTimer);
+    this.nextRoundTimer = this.clock.setTimeout(() => {
       this.startNewRound();
-    }, 3000);
+    }, this.table.intermission);
   }
 
-  async endRound() {
-    if (!this.currentRound || this.currentRound.status === 'crashed') return;
+  // Admin controls
 
-    this.currentRound.endTime = new Date();
-    this.currentRound.status = 'crashed';
+  // Let the current round finish, then hold the loop until resumed
+  pause(reason) {
+    if (this.paused) throw new Error('Table is already paused');
 
-    for (const bet of this.currentRound.bets) {
-      if (!bet.cashedOut) {
-        await this.updatePlayerStats(bet.playerId, false, bet.usdAmount);
-      }
+    this.paused = true;
+    this.emitMaintenance('pause-scheduled', 'Game will pause after this round', reason);
+    logger.info(`Pause requested on ${this.table.id}: ${reason || 'no reason given'}`);
+  }
+
+  resume() {
+    if (!this.paused) throw new Error('Table is not paused');
+
+    this.paused = false;
+    this.emitMaintenance('resumed', 'Game resumed');
+    logger.info(`Table ${this.table.id} resumed`);
+
+    if (this.idle) {
+      this.idle = false;
+      this.startNewRound();
+    }
+  }
+
+  // Runtime settings
+
+  // Settings in effect, and any change waiting for the next round
+  getConfig() {
+    return { tableId: this.table.id, current: pickSettings(this.table), pending: this.pendingConfig };
+  }
+
+  // Save admin changes and apply them at the next round boundary, so a round
+  // never runs under two configurations
+  async updateConfig(changes) {
+    const settings = validateSettings({ ...this.table, ...this.pendingConfig }, changes);
+
+    await GameConfig.findOneAndUpdate(
+      { tableId: this.table.id },
+      { $set: settings },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    this.pendingConfig = { ...this.pendingConfig, ...settings };
+
+    logger.info(`Config change scheduled on ${this.table.id}: ${JSON.stringify(settings)}`);
+    return this.getConfig();
+  }
+
+  // Take the saved settings straight away; only called before the first round
+  async loadConfig() {
+    const saved = await GameConfig.findOne({ tableId: this.table.id }).lean();
+    if (!saved) return;
+
+    this.pendingConfig = pickSettings(saved);
+    this.applyConfig({ announce: false });
+  }
+
+  applyConfig({ announce = true } = {}) {
+    const settings = this.pendingConfig;
+    this.pendingConfig = null;
+    if (!settings || Object.keys(settings).length === 0) return;
+
+    this.table = { ...this.table, ...settings };
+    if (settings.maxCrash !== undefined || settings.houseEdge !== undefined) {
+      this.crashDistribution = new CrashPoint(this.table);
     }
 
-    await this.safeSave(this.currentRound);
+    logger.info(`Config applied on ${this.table.id}: ${JSON.stringify(settings)}`);
+    if (announce) {
+      this.emit('config:updated', { table: this.table, changed: Object.keys(settings) });
+    }
+  }
 
-    // Removed inconsistent emit of multiplier:update here to avoid confusion
-    // Clients will get the crash info via 'round:crashed' event instead
+  // Void the current round, refunding every open stake
+  async voidCurrentRound(reason = 'Voided by admin') {
+    const round = await this.closeRoundEarly();
+    try {
+      await this.voidRound(round, 'refund', reason, 1);
+    } finally {
+      // A bet that could not be refunded is left for recovery; the table goes on
+      this.scheduleNextRound();
+    }
+
+    this.emitMaintenance('round-voided', 'Round voided, bets refunded', reason);
+    return round;
+  }
+
+  // End a running round now. It never reached its crash point, so open bets
+  // are paid at the multiplier reached and the round is voided.
+  async forceCrash(reason = 'Force-crashed by admin') {
+    if (this.currentRound?.status !== 'active' || !this.isGameActive) {
+      throw new Error('No running round to crash');
+    }
+
+    const multiplier = this.currentMultiplier;
+    const round = await this.closeRoundEarly();
+    try {
+      await this.voidRound(round, 'settle', reason, multiplier);
+    } finally {
+      this.scheduleNextRound();
+    }
+
+    this.emit('round:crashed', {
+      roundId: round.roundId,
+      crashPoint: multiplier,
+      finalMultiplier: multiplier,
+      forced: true
+    });
+    this.emitMaintenance('round-force-crashed', `Round stopped at ${multiplier.toFixed(2)}x, open bets paid out`, reason);
+    return round;
+  }
+
+  // Stop the current round's timers and close it to bets and cashouts (bets
+  // placed from here on are queued for the next round)
+  async closeRoundEarly() {
+    const round = this.currentRound;
+    if (!round || !['waiting', 'active'].includes(round.status) ||
+        (round.status === 'active' && !this.isGameActive)) {
+      throw new Error('No round in progress');
+    }
+
+    this.clock.clearTimeout(this.phaseTimer);
+    this.phaseTimer = null;
+    if (this.multiplierInterval) this.clock.clearInterval(this.multiplierInterval);
+    this.isGameActive = false;
+    round.status = 'voided';
+
+    await Promise.all(this.pendingCashouts);
+    this.pendingCashouts = [];
+    return round;
+  }
+
+  async endRound() {
+    if (!this.currentRound || this.currentRound.status === 'crashed') return;
+
+    const round = this.currentRound;
+    round.endTime = new Date(this.clock.now());
+    round.status = 'crashed';
+
+    // Closing the round and counting its lost bets commit together, so a
+    // retried close never counts a bet twice
+    const lost = round.bets.filter(bet => !bet.cashedOut && !bet.refunded);
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        const closed = await GameRound.updateOne(
+          { roundId: round.roundId, status: { $in: ['waiting', 'active'] } },
+          { $set: { status: 'crashed', endTime: round.endTime, maxMultiplier: round.maxMultiplier } },
+          { session }
+        );
+        if (closed.matchedCount === 0) return;
+
+        for (const bet of lost) {
+          await this.recordBetResult(bet, session);
+        }
+      });
+    } catch (error) {
+      logger.error(`Error closing round ${round.roundId}:`, error);
+    }
 
     logger.info(`Round ended: ${this.currentRound.roundId}`);
   }
 
-  async placeBet(playerId, usdAmount, cryptocurrency) {
+  // Place a bet in the current round, or queue it for the next round when
+  // betting is closed
+  async placeBet(playerId, usdAmount, cryptocurrency, { autoCashoutAt, slot = 1 } = {}) {
     try {
-      if (!this.currentRound || this.currentRound.status !== 'waiting') {
+      if (!this.currentRound) {
         throw new Error('Betting not allowed now');
       }
 
+      if (usdAmount < this.table.minBet || usdAmount > this.table.maxBet) {
+        throw new Error(`Bet must be between $${this.table.minBet} and $${this.table.maxBet} on this table`);
+      }
+
+      if (autoCashoutAt !== undefined && !(autoCashoutAt > 1)) {
+        throw new Error('Auto cashout target must be greater than 1x');
+      }
+
+      if (!BET_SLOTS.includes(slot)) {
+        throw new Error(`Bet slot must be one of ${BET_SLOTS.join(', ')}`);
+      }
+
+      if (this.currentRound.status !== 'waiting') {
+        return await this.queueBet(playerId, usdAmount, cryptocurrency, { autoCashoutAt, slot });
+      }
+
+      if (this.findSlotBet(playerId, slot)) {
+        throw new Error(`Bet slot ${slot} already used this round`);
+      }
+
       const price = await this.cryptoService.getPrice(cryptocurrency);
-      const cryptoAmount = usdAmount / price;
+      const cryptoAmount = Units.usdToUnits(usdAmount, price, cryptocurrency);
 
       const player = await Player.findOne({ playerId });
       if (!player || player.wallet[cryptocurrency] < cryptoAmount) throw new Error('Insufficient balance');
 
-      const bet = {
-        playerId,
+      // Betting may have closed, or the slot been filled, while the price and player were loading
+      if (this.currentRound.status !== 'waiting') {
+        return await this.queueBet(playerId, usdAmount, cryptocurrency, { autoCashoutAt, slot });
+      }
+
+      if (this.findSlotBet(playerId, slot)) {
+        throw new Error(`Bet slot ${slot} already used this round`);
+      }
+
+      this.checkRoundExposure(cryptocurrency, cryptoAmount);
+
+      // The balance is checked again by the debit itself, which only applies
+      // while the wallet still covers the stake
+      return await this.addBet(player, {
+        slot,
         usdAmount,
         cryptoAmount,
         cryptocurrency,
         priceAtTime: price,
-        transactionHash: this.generateTransactionHash()
-      };
+        autoCashoutAt
+      }, {
+        fund: (session) => this.debitWallet(playerId, cryptocurrency, cryptoAmount, session),
+        from: Ledger.walletAccount(playerId)
+      });
+
+    } catch (error) {
+      logger.error('Error placing bet:', error);
+      throw error;
+    }
+  }
+
+  // Record a bet on the current round. `cryptoAmount` is in base units.
+  // `fund(session, bet)` takes the stake
+  // from the player's `from` account and returns the updated player; it
+  // commits together with the bet, the bankroll update, the transaction log
+  // and the ledger posting, or none of them do.
+  // The bet joins the round in memory before the first await so the slot and
+  // exposure checks see it, and leaves again if the transaction fails.
+  async addBet(player, { slot, usdAmount, cryptoAmount, cryptocurrency, priceAtTime, autoCashoutAt }, { fund, from }) {
+    const round = this.currentRound;
+    const playerId = player.playerId;
+    round.bets.push({
+      betId: this.generateBetId(),
+      slot,
+      playerId,
+      usdAmount,
+      cryptoAmount,
+      cryptocurrency,
+      priceAtTime,
+      autoCashoutAt,
+      clientSeed: player.clientSeed,
+      transactionHash: this.generateTransactionHash()
+    });
+    const bet = round.bets[round.bets.length - 1];
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        const funded = await fund(session, bet);
+
+        const added = await GameRound.updateOne(
+          { roundId: round.roundId, bets: { $not: { $elemMatch: { playerId, slot } } } },
+          { $push: { bets: bet.toObject() } },
+          { session }
+        );
+        if (added.matchedCount === 0) throw new Error(`Bet slot ${slot} already used this round`);
+
+        await this.bankroll.recordBet(cryptocurrency, cryptoAmount, session);
+
+        const transactionId = await this.logTransaction({
+          playerId,
+          roundId: round.roundId,
+          betId: bet.betId,
+          type: 'bet',
+          usdAmount,
+          cryptoAmount,
+          cryptocurrency,
+          priceAtTime,
+          transactionHash: bet.transactionHash,
+          balanceAfter: funded.wallet
+        }, session);
+
+        await Ledger.transfer({
+          type: 'bet',
+          cryptocurrency,
+          amount: cryptoAmount,
+          from,
+          to: Ledger.HOUSE,
+          player: funded,
+          transactionId,
+          roundId: round.roundId,
+          betId: bet.betId
+        }, session);
+      });
+    } catch (error) {
+      round.bets.splice(round.bets.indexOf(bet), 1);
+      throw error;
+    }
+
+    this.emit('bet:placed', {
+      roundId: round.roundId,
+      playerId,
+      betId: bet.betId,
+      slot,
+      usdAmount,
+      cryptocurrency
+    });
+
+    await this.recordEvent(round, 'bet', {
+      betId: bet.betId,
+      playerId,
+      slot,
+      usdAmount,
+      cryptoAmount: cryptoAmount.toString(),
+      cryptocurrency,
+      autoCashoutAt
+    });
+    return this.describeBet(round, bet);
+  }
+
+  // A bet as sent to the player, with its stake as a decimal amount
+  describeBet(round, bet) {
+    return {
+      roundId: round.roundId,
+      betId: bet.betId,
+      slot: bet.slot,
+      playerId: bet.playerId,
+      usdAmount: bet.usdAmount,
+      cryptoAmount: Units.toNumber(bet.cryptoAmount, bet.cryptocurrency),
+      cryptocurrency: bet.cryptocurrency,
+      priceAtTime: bet.priceAtTime,
+      autoCashoutAt: bet.autoCashoutAt
+    };
+  }
 
-      player.wallet[cryptocurrency] -= cryptoAmount;
-      await player.save();
+  // Take `amount` from the wallet, only if it still covers it. `inc` adds
+  // further counters to the same update.
+  async debitWallet(playerId, cryptocurrency, amount, session, inc = {}) {
+    const player = await Player.findOneAndUpdate(
+      { playerId, [`wallet.${cryptocurrency}`]: { $gte: amount } },
+      { $inc: { [`wallet.${cryptocurrency}`]: -amount, ...inc } },
+      { new: true, session }
+    );
+    if (!player) throw new Error('Insufficient balance');
+    return player;
+  }
 
-      this.currentRound.bets.push(bet);
-      await this.safeSave(this.currentRound);
+  async creditWallet(playerId, cryptocurrency, amount, session) {
+    const player = await Player.findOneAndUpdate(
+      { playerId },
+      { $inc: { [`wallet.${cryptocurrency}`]: amount } },
+      { new: true, session }
+    );
+    if (!player) throw new Error(`Player ${playerId} not found`);
+    return player;
+  }
+
+  // Hold the stake in the player's wallet and queue the bet until betting opens.
+  // The price is fixed when the bet is queued.
+  async queueBet(playerId, usdAmount, cryptocurrency, { autoCashoutAt, slot }) {
+    const existing = await QueuedBet.findOne({ playerId, tableId: this.table.id, slot, status: 'queued' });
+    if (existing) {
+      throw new Error(`Bet slot ${slot} already queued for the next round`);
+    }
 
-      await this.logTransaction({
+    const price = await this.cryptoService.getPrice(cryptocurrency);
+    const cryptoAmount = Units.usdToUnits(usdAmount, price, cryptocurrency);
+    const queueId = this.generateQueueId();
+
+    const queued = await mongoose.connection.transaction(async (session) => {
+      const player = await this.debitWallet(playerId, cryptocurrency, cryptoAmount, session, {
+        [`heldFunds.${cryptocurrency}`]: cryptoAmount
+      });
+      await Ledger.transfer({
+        type: 'hold',
+        cryptocurrency,
+        amount: cryptoAmount,
+        from: Ledger.walletAccount(playerId),
+        to: Ledger.heldAccount(playerId),
+        player
+      }, session);
+
+      const [created] = await QueuedBet.create([{
+        queueId,
         playerId,
-        roundId: this.currentRound.roundId,
-        type: 'bet',
+        tableId: this.table.id,
+        slot,
         usdAmount,
         cryptoAmount,
         cryptocurrency,
         priceAtTime: price,
-        transactionHash: bet.transactionHash,
-        balanceAfter: player.wallet
+        autoCashoutAt
+      }], { session });
+      return created;
+    });
+
+    logger.info(`Bet queued for next round on ${this.table.id}: ${playerId} - $${usdAmount}`);
+    return {
+      queued: true,
+      ...queued.toObject(),
+      cryptoAmount: Units.toNumber(queued.cryptoAmount, cryptocurrency)
+    };
+  }
+
+  async cancelQueuedBet(playerId, queueId) {
+    // Claiming the status first keeps a cancel from racing the round opening
+    const { queued, player } = await mongoose.connection.transaction(async (session) => {
+      const claimed = await QueuedBet.findOneAndUpdate(
+        { queueId, playerId, tableId: this.table.id, status: 'queued' },
+        { status: 'cancelled' },
+        { new: true, session }
+      );
+      if (!claimed) throw new Error('Queued bet not found');
+
+      return { queued: claimed, player: await this.releaseHold(claimed, session) };
+    });
+
+    logger.info(`Queued bet cancelled: ${playerId} - ${queueId}`);
+    return {
+      queueId,
+      slot: queued.slot,
+      wallet: Units.formatWallet(player.wallet),
+      heldFunds: Units.formatWallet(player.heldFunds)
+    };
+  }
+
+  // Take a queued bet's stake off hold, returning it to the wallet unless it
+  // is being staked
+  async releaseHold(queued, session, { toWallet = true } = {}) {
+    const { playerId, cryptocurrency, cryptoAmount } = queued;
+    const inc = { [`heldFunds.${cryptocurrency}`]: -cryptoAmount };
+    if (toWallet) inc[`wallet.${cryptocurrency}`] = cryptoAmount;
+
+    const player = await Player.findOneAndUpdate(
+      { playerId, [`heldFunds.${cryptocurrency}`]: { $gte: cryptoAmount } },
+      { $inc: inc },
+      { new: true, session }
+    );
+    if (!player) throw new Error(`No held stake for queued bet ${queued.queueId}`);
+
+    if (toWallet) {
+      await Ledger.transfer({
+        type: 'release',
+        cryptocurrency,
+        amount: cryptoAmount,
+        from: Ledger.heldAccount(playerId),
+        to: Ledger.walletAccount(playerId),
+        player
+      }, session);
+    }
+    return player;
+  }
+
+  // Move queued bets into the round that just opened for betting. Each bet is
+  // claimed in the same transaction that stakes it.
+  async applyQueuedBets() {
+    const queuedBets = await QueuedBet.find({ tableId: this.table.id, status: 'queued' })
+      .sort({ createdAt: 1 });
+
+    for (const queued of queuedBets) {
+      if (this.currentRound.status !== 'waiting') break;
+
+      try {
+        if (this.findSlotBet(queued.playerId, queued.slot)) {
+          throw new Error(`Bet slot ${queued.slot} already used this round`);
+        }
+
+        this.checkRoundExposure(queued.cryptocurrency, queued.cryptoAmount);
+
+        const player = await Player.findOne({ playerId: queued.playerId });
+        if (!player) throw new Error(`Player ${queued.playerId} not found`);
+
+        const bet = await this.addBet(player, queued, {
+          fund: async (session, placed) => {
+            const claimed = await QueuedBet.findOneAndUpdate(
+              { queueId: queued.queueId, status: 'queued' },
+              { status: 'placed', roundId: this.currentRound.roundId, betId: placed.betId },
+              { new: true, session }
+            );
+            if (!claimed) throw new Error('Queued bet is no longer queued');
+
+            return this.releaseHold(queued, session, { toWallet: false });
+          },
+          from: Ledger.heldAccount(queued.playerId)
+        });
+
+        this.emitToPlayer(queued.playerId, 'bet:confirmed', {
+          queueId: queued.queueId,
+          roundId: bet.roundId,
+          betId: bet.betId,
+          slot: bet.slot,
+          usdAmount: bet.usdAmount,
+          cryptoAmount: bet.cryptoAmount,
+          cryptocurrency: bet.cryptocurrency,
+          priceAtTime: bet.priceAtTime,
+          autoCashoutAt: bet.autoCashoutAt
+        });
+      } catch (error) {
+        logger.error(`Failed to apply queued bet ${queued.queueId}:`, error);
+        await this.failQueuedBet(queued, error);
+      }
+    }
+  }
+
+  // Return the stake of a queued bet that could not be placed. A bet the
+  // player cancelled meanwhile is left alone.
+  async failQueuedBet(queued, error) {
+    try {
+      const failed = await mongoose.connection.transaction(async (session) => {
+        const claimed = await QueuedBet.findOneAndUpdate(
+          { queueId: queued.queueId, status: 'queued' },
+          { status: 'failed' },
+          { new: true, session }
+        );
+        if (claimed) await this.releaseHold(claimed, session);
+        return claimed;
       });
+      if (!failed) return;
+    } catch (releaseError) {
+      logger.error(`Failed to release queued bet ${queued.queueId}:`, releaseError);
+      return;
+    }
 
-      this.io.emit('bet:placed', { roundId: this.currentRound.roundId, playerId, usdAmount, cryptocurrency });
-      return bet;
+    this.emitToPlayer(queued.playerId, 'bet:queue-failed', {
+      queueId: queued.queueId,
+      slot: queued.slot,
+      message: error.message
+    });
+  }
+
+  // Cash out `percentage` of a bet (by betId, else the player's only open bet)
+  // at the curve's multiplier at `clientTime`, clamped to what the socket's
+  // `latency` can explain; `receivedAt` is when a forwarding instance got it.
+  async cashOut(playerId, betId, percentage = 100, { clientTime, latency, receivedAt } = {}) {
+    try {
+      if (!this.currentRound || this.currentRound.status !== 'active') throw new Error('Cannot cash out');
+
+      if (!(percentage > 0 && percentage <= 100)) {
+        throw new Error('Cashout percentage must be between 0 and 100');
+      }
+
+      const openBets = this.currentRound.bets.filter(b => b.playerId === playerId && !b.cashedOut);
+      let bet;
+      if (betId) {
+        bet = openBets.find(b => b.betId === betId);
+      } else if (openBets.length > 1) {
+        throw new Error('Specify which bet to cash out');
+      } else {
+        bet = openBets[0];
+      }
+      if (!bet) throw new Error('No active bet');
+
+      const attempt = this.timeCashout(clientTime, latency, receivedAt);
+      attempt.percentage = percentage;
+
+      // Pressed at or after the crash instant: too late, however it is timed
+      if (attempt.elapsed >= this.crashTime) {
+        attempt.accepted = false;
+        attempt.reason = 'after crash';
+        await this.recordCashoutAttempt(this.currentRound, bet, attempt);
+        await this.recordEvent(this.currentRound, 'cashout-rejected', {
+          betId: bet.betId,
+          playerId,
+          percentage,
+          reason: attempt.reason,
+          clientTime: attempt.clientTime,
+          adjustedTime: attempt.adjustedTime,
+          elapsed: attempt.elapsed
+        }, attempt.receivedAt);
+        throw new Error(`Too late: round crashed at ${this.currentRound.crashPoint.toFixed(2)}x`);
+      }
+
+      // Never above the house's exposure cap for the bet's currency
+      const capAt = this.exposureCapMultipliers()[bet.cryptocurrency] ?? Infinity;
+      attempt.multiplier = Math.min(this.curve.multiplierAt(attempt.elapsed), capAt);
+      attempt.accepted = true;
+
+      const settlement = this.settleCashout(bet, attempt.multiplier, { percentage, attempt });
+      this.pendingCashouts.push(settlement.catch(() => {}));
+      return await settlement;
 
     } catch (error) {
-      logger.error('Error placing bet:', error);
+      logger.error('Error cashing out:', error);
       throw error;
     }
   }
 
-  async cashOut(playerId) {
-    try {
-      if (!this.isGameActive || !this.currentRound) throw new Error('Cannot cash out');
+  // Work out when a cashout request counts as pressed. The client's timestamp
+  // is trusted only within half the measured round trip plus a tolerance
+  // (capped), so a forged timestamp cannot reach further back than that.
+  // Forwarding time is compensated up to the same cap.
+  timeCashout(clientTime, latency, forwardedAt) {
+    const now = this.clock.now();
+    const receivedAt = Number.isFinite(forwardedAt)
+      ? Math.min(now, Math.max(forwardedAt, now - this.maxCompensation))
+      : now;
+    const rtt = Number.isFinite(latency) ? latency : 0;
+    const allowance = Math.min(rtt / 2 + this.latencyTolerance, this.maxCompensation);
+
+    let adjustedTime = receivedAt;
+    if (Number.isFinite(clientTime)) {
+      adjustedTime = Math.min(receivedAt, Math.max(clientTime, receivedAt - allowance));
+    }
 
-      const bet = this.currentRound.bets.find(b => b.playerId === playerId && !b.cashedOut);
-      if (!bet) throw new Error('No active bet');
+    return {
+      clientTime: Number.isFinite(clientTime) ? clientTime : undefined,
+      receivedAt,
+      latency: Number.isFinite(latency) ? latency : undefined,
+      allowance,
+      adjustedTime,
+      elapsed: Math.max(0, (adjustedTime - this.gameStartTime) / 1000)
+    };
+  }
 
-      const multiplier = this.currentMultiplier;
-      const cryptoPayout = bet.cryptoAmount * multiplier;
-      const usdPayout = cryptoPayout * bet.priceAtTime;
+  // Settle bets whose auto cashout target is at or below `limit`, paying out at
+  // exactly the target. Targets at or above the crash point always lose, and
+  // targets above the currency's exposure cap are left to the cap.
+  processAutoCashouts(limit, capAt = {}) {
+    for (const bet of this.currentRound.bets) {
+      if (bet.cashedOut || bet.refunded || !bet.autoCashoutAt) continue;
+      if (bet.autoCashoutAt > limit || bet.autoCashoutAt >= this.currentRound.crashPoint) continue;
+      if (bet.autoCashoutAt > (capAt[bet.cryptocurrency] ?? Infinity)) continue;
 
-      bet.cashedOut = true;
-      bet.cashoutMultiplier = multiplier;
-      bet.payout = { cryptoAmount: cryptoPayout, usdAmount: usdPayout };
+      const settlement = this.settleCashout(bet, bet.autoCashoutAt, { auto: true })
+        .catch(err => logger.error(`Auto cashout failed for ${bet.playerId}:`, err));
+      this.pendingCashouts.push(settlement);
+    }
+  }
 
-      const player = await Player.findOne({ playerId });
-      player.wallet[bet.cryptocurrency] += cryptoPayout;
-      await player.save();
+  // Multiplier per currency at which this round's total payout (settled so
+  // far plus open stakes riding) reaches its exposure cap. Auto cashout
+  // targets below that point pay their target, which the walk accounts for.
+  exposureCapMultipliers() {
+    const caps = this.currentRound.exposureCaps || {};
+    const capAt = {};
+
+    for (const [cryptocurrency, cap] of Object.entries(caps)) {
+      if (cap === undefined || cap === null) continue;
+
+      const bets = this.currentRound.bets.filter(b => b.cryptocurrency === cryptocurrency && !b.refunded);
+      const open = bets.filter(b => !b.cashedOut);
+      if (open.length === 0) continue;
+
+      let paid = bets.reduce((sum, b) => sum + (b.payout?.cryptoAmount ?? 0n), 0n);
+      let stake = open.reduce((sum, b) => sum + this.getOpenStake(b), 0n);
+      let riding = open.length;
+      const reachedAt = () => Number(cap - paid) / Number(stake);
+
+      const autos = open.filter(b => b.autoCashoutAt).sort((a, b) => a.autoCashoutAt - b.autoCashoutAt);
+      for (const bet of autos) {
+        if (reachedAt() <= bet.autoCashoutAt) break;
+        const betStake = this.getOpenStake(bet);
+        paid += Units.applyMultiplier(betStake, bet.autoCashoutAt);
+        stake -= betStake;
+        riding--;
+      }
 
-      await this.safeSave(this.currentRound);
+      if (riding > 0) capAt[cryptocurrency] = Math.max(1, reachedAt());
+    }
+    return capAt;
+  }
 
-      await this.logTransaction({
-        playerId,
-        roundId: this.currentRound.roundId,
-        type: 'cashout',
-        usdAmount: usdPayout,
-        cryptoAmount: cryptoPayout,
-        cryptocurrency: bet.cryptocurrency,
-        priceAtTime: bet.priceAtTime,
-        transactionHash: this.generateTransactionHash(),
-        multiplier,
-        balanceAfter: player.wallet
-      });
+  // Once a currency's cap is reached, cash out every bet still riding in it
+  enforceExposureCaps(limit, capAt) {
+    for (const [cryptocurrency, multiplier] of Object.entries(capAt)) {
+      if (multiplier > limit || multiplier >= this.currentRound.crashPoint) continue;
 
-      await this.updatePlayerStats(playerId, true, usdPayout - bet.usdAmount);
+      const open = this.currentRound.bets.filter(b =>
+        b.cryptocurrency === cryptocurrency && !b.cashedOut && !b.refunded
+      );
+      if (open.length === 0) continue;
 
-      this.io.emit('player:cashedout', {
+      logger.info(`Exposure cap reached for ${cryptocurrency} at ${multiplier.toFixed(2)}x in round ${this.currentRound.roundId}`);
+      this.emit('round:exposure-limit', {
         roundId: this.currentRound.roundId,
-        playerId,
-        multiplier: parseFloat(multiplier.toFixed(2)),
-        payout: {
-          crypto: parseFloat(cryptoPayout.toFixed(8)),
-          usd: parseFloat(usdPayout.toFixed(2))
-        },
-        cryptocurrency: bet.cryptocurrency
+        cryptocurrency,
+        multiplier: parseFloat(multiplier.toFixed(2))
       });
+      const elapsed = this.curve.timeAt(multiplier);
+      this.pendingCashouts.push(this.recordEvent(this.currentRound, 'exposure-limit', {
+        cryptocurrency,
+        multiplier,
+        bets: open.length,
+        elapsed
+      }, this.gameStartTime + elapsed * 1000));
+
+      for (const bet of open) {
+        const settlement = this.settleCashout(bet, multiplier, { auto: true, capped: true })
+          .catch(err => logger.error(`Capped cashout failed for ${bet.playerId}:`, err));
+        this.pendingCashouts.push(settlement);
+      }
+    }
+  }
+
+  // Reject a stake that would leave the round unable to pay even 1x in its currency
+  checkRoundExposure(cryptocurrency, cryptoAmount) {
+    const riding = this.currentRound.bets
+      .filter(b => b.cryptocurrency === cryptocurrency && !b.cashedOut && !b.refunded)
+      .reduce((sum, b) => sum + this.getOpenStake(b), 0n);
 
-      return { multiplier, payout: bet.payout };
+    const cap = this.bankroll.maxRoundPayout(cryptocurrency);
+    if (cap !== null && riding + cryptoAmount > cap) {
+      throw new Error('Bet exceeds the house limit for this round');
+    }
+  }
+
+  // Pay out `percentage` of a bet's open stake at the given multiplier. The
+  // settlement is recorded on the bet before the first await so a second
+  // settlement cannot race it, and undone if its transaction fails. A manual
+  // cashout's `attempt` is stored with the settlement.
+  async settleCashout(bet, multiplier, { auto = false, capped = false, percentage = 100, attempt } = {}) {
+    const round = this.currentRound;
+    const playerId = bet.playerId;
 
+    const settled = this.recordSettlement(bet, multiplier, { auto, capped, percentage });
+    const { stake, cryptoPayout, usdPayout } = settled;
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        await this.persistSettlement(round, bet, settled, session, attempt);
+
+        const player = await this.creditWallet(playerId, bet.cryptocurrency, cryptoPayout, session);
+
+        await this.bankroll.recordPayout(bet.cryptocurrency, cryptoPayout, session);
+
+        const transactionId = await this.logTransaction({
+          playerId,
+          roundId: round.roundId,
+          betId: bet.betId,
+          type: 'cashout',
+          usdAmount: usdPayout,
+          cryptoAmount: cryptoPayout,
+          cryptocurrency: bet.cryptocurrency,
+          priceAtTime: bet.priceAtTime,
+          transactionHash: this.generateTransactionHash(),
+          multiplier,
+          balanceAfter: player.wallet
+        }, session);
+
+        await Ledger.transfer({
+          type: 'cashout',
+          cryptocurrency: bet.cryptocurrency,
+          amount: cryptoPayout,
+          from: Ledger.HOUSE,
+          to: Ledger.walletAccount(playerId),
+          player,
+          transactionId,
+          roundId: round.roundId,
+          betId: bet.betId
+        }, session);
+
+        if (settled.closes) {
+          await this.recordBetResult(bet, session);
+        }
+      });
     } catch (error) {
-      logger.error('Error cashing out:', error);
+      settled.undo();
+      if (attempt) {
+        await this.recordCashoutAttempt(round, bet, { ...attempt, accepted: false, reason: 'settlement failed' });
+      }
       throw error;
     }
+
+    if (attempt) bet.cashoutAttempts.push(attempt);
+
+    const remaining = this.getOpenStake(bet);
+    const elapsed = this.curve.timeAt(multiplier);
+
+    await this.recordEvent(round, 'cashout', {
+      betId: bet.betId,
+      playerId,
+      slot: bet.slot,
+      multiplier,
+      percentage,
+      stake: stake.toString(),
+      payout: cryptoPayout.toString(),
+      cryptocurrency: bet.cryptocurrency,
+      auto,
+      capped,
+      elapsed
+    }, this.gameStartTime + elapsed * 1000);
+
+    this.emit('player:cashedout', {
+      roundId: round.roundId,
+      playerId,
+      betId: bet.betId,
+      slot: bet.slot,
+      multiplier: parseFloat(multiplier.toFixed(2)),
+      percentage,
+      partial: !bet.cashedOut,
+      stake: Units.toNumber(stake, bet.cryptocurrency),
+      remaining: Units.toNumber(remaining, bet.cryptocurrency),
+      payout: {
+        crypto: Units.toNumber(cryptoPayout, bet.cryptocurrency),
+        usd: parseFloat(usdPayout.toFixed(2))
+      },
+      cryptocurrency: bet.cryptocurrency,
+      auto,
+      capped
+    });
+
+    return {
+      betId: bet.betId,
+      slot: bet.slot,
+      multiplier,
+      percentage,
+      partial: !bet.cashedOut,
+      remaining: Units.toNumber(remaining, bet.cryptocurrency),
+      payout: { cryptoAmount: Units.toNumber(cryptoPayout, bet.cryptocurrency), usdAmount: usdPayout }
+    };
+  }
+
+  // Write a settlement from recordSettlement onto the stored bet. Payout
+  // totals are incremented rather than overwritten so partial cashouts
+  // committing in either order add up.
+  async persistSettlement(round, bet, { settlement, cryptoPayout, usdPayout, closes }, session, attempt) {
+    const update = {
+      $push: { 'bets.$.settlements': settlement.toObject() },
+      $inc: { 'bets.$.payout.cryptoAmount': cryptoPayout, 'bets.$.payout.usdAmount': usdPayout },
+      $set: { 'bets.$.cashoutMultiplier': settlement.multiplier },
+      $max: { maxMultiplier: round.maxMultiplier || 1 }
+    };
+    if (closes) update.$set['bets.$.cashedOut'] = true;
+    if (attempt) update.$push['bets.$.cashoutAttempts'] = attempt;
+
+    await this.updateOpenBet(round, bet, update, session);
+  }
+
+  // Update a bet only while it is still open in the database, so a bet is
+  // never paid or refunded twice whatever the in-memory round says
+  async updateOpenBet(round, bet, update, session) {
+    const result = await GameRound.updateOne(
+      { roundId: round.roundId, bets: { $elemMatch: { betId: bet.betId, cashedOut: false, refunded: { $ne: true } } } },
+      update,
+      { session }
+    );
+    if (result.matchedCount === 0) throw new Error(`Bet ${bet.betId} is no longer open`);
   }
 
-  async updatePlayerStats(playerId, won, amount) {
+  // Cashout attempts are kept for disputes; failing to store one is logged
+  // rather than failing the request
+  async recordCashoutAttempt(round, bet, attempt) {
+    bet.cashoutAttempts.push(attempt);
     try {
-      const player = await Player.findOne({ playerId });
-      if (player) {
-        player.totalGamesPlayed += 1;
-        if (won) player.totalWon += amount;
-        else player.totalLost += amount;
-        await player.save();
-      }
+      await GameRound.updateOne(
+        { roundId: round.roundId, bets: { $elemMatch: { betId: bet.betId } } },
+        { $push: { 'bets.$.cashoutAttempts': attempt } }
+      );
     } catch (err) {
-      logger.error('Error updating stats:', err);
+      logger.error('Error recording cashout attempt:', err);
+    }
+  }
+
+  // Stake of a bet not yet settled by earlier partial cashouts, in base units
+  getOpenStake(bet) {
+    if (bet.cashedOut || bet.refunded) return 0n;
+    const settled = (bet.settlements || []).reduce((sum, s) => sum + s.stakeCryptoAmount, 0n);
+    return bet.cryptoAmount > settled ? bet.cryptoAmount - settled : 0n;
+  }
+
+  // Append a settlement to the bet's history and update its running payout.
+  // Settling 100% closes the bet. Stakes and payouts round down to whole base
+  // units. `undo` reverses this settlement alone, for
+  // when its transaction fails.
+  recordSettlement(bet, multiplier, { auto = false, capped = false, percentage = 100 } = {}) {
+    const openStake = this.getOpenStake(bet);
+    const closes = percentage >= 100;
+    const stake = closes ? openStake : Units.percentageOf(openStake, percentage);
+    const cryptoPayout = Units.applyMultiplier(stake, multiplier);
+    const usdPayout = Units.unitsToUsd(cryptoPayout, bet.priceAtTime, bet.cryptocurrency);
+
+    bet.settlements.push({
+      percentage,
+      stakeCryptoAmount: stake,
+      multiplier,
+      payout: { cryptoAmount: cryptoPayout, usdAmount: usdPayout },
+      auto,
+      capped,
+      settledAt: new Date(this.clock.now())
+    });
+    const settlement = bet.settlements[bet.settlements.length - 1];
+    const previousMultiplier = bet.cashoutMultiplier;
+
+    const addPayout = (crypto, usd) => {
+      bet.payout = {
+        cryptoAmount: (bet.payout?.cryptoAmount ?? 0n) + crypto,
+        usdAmount: (bet.payout?.usdAmount || 0) + usd
+      };
+    };
+
+    bet.cashoutMultiplier = multiplier;
+    addPayout(cryptoPayout, usdPayout);
+    if (closes) bet.cashedOut = true;
+
+    const undo = () => {
+      bet.settlements.splice(bet.settlements.indexOf(settlement), 1);
+      bet.cashoutMultiplier = previousMultiplier;
+      addPayout(-cryptoPayout, -usdPayout);
+      if (closes) bet.cashedOut = false;
+    };
+
+    return { stake, cryptoPayout, usdPayout, settlement, closes, undo };
+  }
+
+  // Record a finished bet in the player's stats as its net result across all settlements
+  async recordBetResult(bet, session) {
+    const net = (bet.payout?.usdAmount || 0) - bet.usdAmount;
+    await this.updatePlayerStats(bet.playerId, net > 0, Math.abs(net), session);
+  }
+
+  findSlotBet(playerId, slot) {
+    return this.currentRound.bets.find(b => b.playerId === playerId && b.slot === slot);
+  }
+
+  // Resolve rounds a previous process left in `waiting` or `active`. With
+  // ROUND_RECOVERY_POLICY=settle, open bets of an active round are paid at the
+  // last persisted multiplier; otherwise (the default) their stakes are refunded.
+  async recoverOrphanedRounds() {
+    const policy = process.env.ROUND_RECOVERY_POLICY === 'settle' ? 'settle' : 'refund';
+    const orphaned = await GameRound.find({
+      tableId: this.table.id,
+      status: { $in: ['waiting', 'active'] }
+    });
+
+    for (const round of orphaned) {
+      try {
+        await this.voidRound(round, policy, 'Interrupted by server restart');
+      } catch (error) {
+        logger.error(`Failed to recover round ${round.roundId}:`, error);
+      }
     }
   }
 
-  async logTransaction(data) {
+  // Close a round without a crash, compensating every open bet, and mark it
+  // voided. If any bet cannot be compensated the round is left open in the
+  // database, so the next recovery pass finishes it.
+  async voidRound(round, policy, reason, multiplier = round.status === 'active' ? (round.maxMultiplier || 1) : 1) {
+    const settle = policy === 'settle' && multiplier > 1;
+
+    let failed = 0;
+    for (const bet of round.bets) {
+      if (bet.cashedOut || bet.refunded) continue;
+
+      try {
+        if (settle) {
+          await this.compensateBet(round, bet, 'cashout', multiplier);
+        } else {
+          await this.compensateBet(round, bet, 'refund', 1);
+        }
+      } catch (error) {
+        failed++;
+        logger.error(`Cannot compensate bet ${bet.betId}:`, error);
+      }
+    }
+    if (failed > 0) {
+      throw new Error(`${failed} bets of round ${round.roundId} could not be compensated`);
+    }
+
+    round.status = 'voided';
+    round.voidReason = reason;
+    round.endTime = round.endTime || new Date(this.clock.now());
+    await this.saveRound(round, { status: 'voided', voidReason: reason, endTime: round.endTime });
+
+    await this.recordEvent(round, 'voided', {
+      reason,
+      policy,
+      multiplier: settle ? multiplier : null
+    });
+
+    logger.info(`Round voided: ${round.roundId} (${settle ? `settled at ${multiplier}x` : 'refunded'}) - ${reason}`);
+  }
+
+  // Credit an open bet of a voided round. The bet's update, the wallet, the
+  // bankroll and the transaction log commit together, and the update only
+  // applies to a bet still open, so a second recovery pass never pays it twice.
+  async compensateBet(round, bet, type, multiplier) {
+    let cryptoAmount;
+    let usdAmount;
+    let settled;
+
+    if (type === 'refund') {
+      // Only the stake still riding; partial cashouts were already paid
+      cryptoAmount = this.getOpenStake(bet);
+      usdAmount = Units.unitsToUsd(cryptoAmount, bet.priceAtTime, bet.cryptocurrency);
+      bet.refunded = true;
+    } else {
+      settled = this.recordSettlement(bet, multiplier);
+      ({ cryptoPayout: cryptoAmount, usdPayout: usdAmount } = settled);
+    }
+
     try {
-      const transaction = new Transaction({
-        transactionId: this.generateTransactionId(),
-        ...data
+      await mongoose.connection.transaction(async (session) => {
+        if (type === 'refund') {
+          await this.updateOpenBet(round, bet, { $set: { 'bets.$.refunded': true } }, session);
+        } else {
+          await this.persistSettlement(round, bet, settled, session);
+        }
+
+        const player = await this.creditWallet(bet.playerId, bet.cryptocurrency, cryptoAmount, session);
+
+        if (type === 'refund') {
+          await this.bankroll.recordRefund(bet.cryptocurrency, cryptoAmount, session);
+        } else {
+          await this.bankroll.recordPayout(bet.cryptocurrency, cryptoAmount, session);
+        }
+
+        const transactionId = await this.logTransaction({
+          playerId: bet.playerId,
+          roundId: round.roundId,
+          betId: bet.betId,
+          type,
+          usdAmount,
+          cryptoAmount,
+          cryptocurrency: bet.cryptocurrency,
+          priceAtTime: bet.priceAtTime,
+          transactionHash: this.generateTransactionHash(),
+          multiplier,
+          balanceAfter: player.wallet
+        }, session);
+
+        await Ledger.transfer({
+          type,
+          cryptocurrency: bet.cryptocurrency,
+          amount: cryptoAmount,
+          from: Ledger.HOUSE,
+          to: Ledger.walletAccount(bet.playerId),
+          player,
+          transactionId,
+          roundId: round.roundId,
+          betId: bet.betId
+        }, session);
+
+        if (type === 'cashout') {
+          await this.recordBetResult(bet, session);
+        }
       });
-      await transaction.save();
-    } catch (err) {
-      logger.error('Transaction log error:', err);
+    } catch (error) {
+      if (settled) settled.undo();
+      else bet.refunded = false;
+      throw error;
     }
   }
 
-  async safeSave(document) {
-    if (this.isSaving) return;
-    this.isSaving = true;
+  async updatePlayerStats(playerId, won, amount, session) {
+    await Player.updateOne(
+      { playerId },
+      { $inc: { totalGamesPlayed: 1, [won ? 'totalWon' : 'totalLost']: amount } },
+      { session }
+    );
+  }
+
+  // Part of the caller's transaction: if the log cannot be written, the bet
+  // or payout it records is rolled back with it
+  async logTransaction(data, session) {
+    const transactionId = this.generateTransactionId();
+    await Transaction.create([{ transactionId, ...data }], { session });
+    return transactionId;
+  }
+
+  // Append to the round's event log. `at` is when the event happened on the
+  // round's timeline, which for cashouts and the crash is earlier than now.
+  async recordEvent(round, type, data = {}, at = this.clock.now()) {
     try {
-      await document.save();
+      if (round.$locals.eventSeq === undefined) {
+        // A round recovered after a restart continues its existing log
+        const last = await RoundEvent.findOne({ roundId: round.roundId }).sort({ seq: -1 });
+        round.$locals.eventSeq = last ? last.seq : 0;
+      }
+      const seq = ++round.$locals.eventSeq;
+
+      await RoundEvent.create({
+        roundId: round.roundId,
+        tableId: round.tableId,
+        seq,
+        type,
+        at: new Date(at),
+        data
+      });
     } catch (err) {
-      logger.error('Safe save error:', err);
-    } finally {
-      this.isSaving = false;
+      logger.error('Round event log error:', err);
     }
   }
 
-  calculateCrashPoint(seed, roundId) {
-    const hash = crypto.createHmac('sha256', process.env.PROVABLY_FAIR_SECRET || 'secret')
-      .update(seed + roundId).digest('hex');
-    const hashNum = parseInt(hash.substring(0, 8), 16);
-    const uniform = hashNum / 0xFFFFFFFF;
-    const maxCrash = parseFloat(process.env.MAX_CRASH_MULTIPLIER) || 120;
-    const minCrash = parseFloat(process.env.MIN_CRASH_MULTIPLIER) || 1.01;
-    const crash = minCrash + (Math.log(1 - uniform) / -0.1);
-    return Math.min(Math.max(crash, minCrash), maxCrash);
+  // Persist round fields the loop changed. Bets are only written by their own
+  // transactions, so the round document is never saved whole after it is created.
+  async saveRound(round, fields, session) {
+    await GameRound.updateOne({ roundId: round.roundId }, { $set: fields }, { session });
+  }
+
+  // Request a seed chain rotation; it happens at the next round boundary so the
+  // running round's seed is never exposed early
+  requestSeedRotation() {
+    const activeSince = this.seedChain.activeSince();
+    const wait = activeSince ? activeSince.getTime() + this.rotationCooldown - this.clock.now() : 0;
+    if (wait > 0) {
+      const error = new Error(`The seed chain can be rotated again in ${Math.ceil(wait / 60000)} min`);
+      error.statusCode = 429;
+      throw error;
+    }
+    this.rotationRequested = true;
+  }
+
+  async rotateSeedChain() {
+    this.rotationRequested = false;
+    const retired = await this.seedChain.rotate();
+
+    this.emit('seed:rotated', {
+      retired,
+      active: this.seedChain.getCommitment()
+    });
+
+    logger.info(`Seed chain rotated for ${this.table.id}: ${retired.chainId}`);
+  }
+
+  combineClientSeeds(clientSeeds) {
+    return HashChain.hash(clientSeeds.join(':'));
   }
 
   generateRoundId() {
     return `round_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
   }
 
-  generateSeed() {
-    return crypto.randomBytes(32).toString('hex');
+  hashSeed(seed) {
+    return HashChain.hash(seed);
   }
 
-  hashSeed(seed) {
-    return crypto.createHash('sha256').update(seed).digest('hex');
+  generateBetId() {
+    return `bet_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  generateQueueId() {
+    return `queue_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
   }
 
   generateTransactionHash() {
@@ -320,15 +1449,52 @@ class GameManager {
     return `tx_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
   }
 
+  // Broadcast to sockets seated at this table
+  emit(event, data) {
+    this.io.to(this.room).emit(event, { tableId: this.table.id, ...data });
+  }
+
+  // Admin actions, shown to everyone at the table
+  emitMaintenance(action, message, reason) {
+    this.emit('maintenance', { action, message, reason, paused: this.paused });
+  }
+
+  // Send to every socket of one player, wherever they are seated
+  emitToPlayer(playerId, event, data) {
+    this.io.to(`player:${playerId}`).emit(event, { tableId: this.table.id, ...data });
+  }
+
+  // Loop status for operators
+  getLoopStatus() {
+    return {
+      tableId: this.table.id,
+      paused: this.paused,
+      idle: this.idle,
+      currentRound: this.currentRound ? {
+        roundId: this.currentRound.roundId,
+        status: this.currentRound.status
+      } : null,
+      currentMultiplier: parseFloat(this.currentMultiplier.toFixed(2))
+    };
+  }
+
   getGameState() {
     return {
+      table: this.table,
       currentRound: this.currentRound ? {
         roundId: this.currentRound.roundId,
         status: this.currentRound.status,
-        seedHash: this.currentRound.seedHash
+        seedHash: this.currentRound.seedHash,
+        chainId: this.currentRound.chainId,
+        chainIndex: this.currentRound.chainIndex
       } : null,
+      seedChain: this.seedChain.getCommitment(),
       isGameActive: this.isGameActive,
-      currentMultiplier: parseFloat(this.currentMultiplier.toFixed(2))
+      paused: this.paused,
+      currentMultiplier: parseFloat(this.currentMultiplier.toFixed(2)),
+      startedAt: this.isGameActive ? this.gameStartTime : null,
+      curve: this.curve.describe(),
+      serverTime: this.clock.now()
     };
   }
 }
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const SeedChain = require('../models/SeedChain');
+const logger = require('../config/logger');
+
+// Reverse SHA-256 hash chain of round seeds.
+//
+// A random terminal seed s[n] is hashed repeatedly down to s[0], which is
+// published as the chain commitment. Rounds then use s[1], s[2], ... in order,
+// so every revealed seed hashes to the seed of the round before it and, after
+// `index` hashes, to the commitment.
+class HashChain {
+  constructor(tableId) {
+    this.tableId = tableId;
+    this.length = parseInt(process.env.HASH_CHAIN_LENGTH) || 10000;
+    this.chain = null;
+    this.seeds = null;
+  }
+
+  static hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  // Returns seeds[0..length], where seeds[0] is the commitment
+  static build(terminalSeed, length) {
+    const seeds = new Array(length + 1);
+    seeds[length] = terminalSeed;
+    for (let i = length - 1; i >= 0; i--) {
+      seeds[i] = HashChain.hash(seeds[i + 1]);
+    }
+    return seeds;
+  }
+
+  // Check that hashing `seed` `index` times lands on the commitment
+  static verifyPosition(seed, index, commitment) {
+    if (!Number.isInteger(index) || index < 1) return false;
+
+    let value = seed;
+    for (let i = 0; i < index; i++) {
+      value = HashChain.hash(value);
+    }
+    return value === commitment;
+  }
+
+  // Load the table's active chain, creating a new one if none is left
+  async load() {
+    let chain = await SeedChain.findOne({ tableId: this.tableId, status: 'active' })
+      .sort({ createdAt: -1 })
+      .select('+terminalSeed');
+
+    if (!chain || chain.nextIndex > chain.length) {
+      if (chain) {
+        chain.status = 'exhausted';
+        await chain.save();
+      }
+      chain = await this.create();
+    }
+
+    this.chain = chain;
+    this.seeds = HashChain.build(chain.terminalSeed, chain.length);
+
+    if (this.seeds[0] !== chain.commitment) {
+      throw new Error(`Seed chain ${chain.chainId} does not match its commitment`);
+    }
+  }
+
+  async create() {
+    const terminalSeed = crypto.randomBytes(32).toString('hex');
+    const seeds = HashChain.build(terminalSeed, this.length);
+
+    const chain = new SeedChain({
+      chainId: `chain_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      tableId: this.tableId,
+      length: this.length,
+      commitment: seeds[0],
+      terminalSeed
+    });
+    await chain.save();
+
+    logger.info(`New seed chain for ${this.tableId}: ${chain.chainId}, commitment: ${chain.commitment}`);
+    return chain;
+  }
+
+  // Claim the next seed in the chain
+  async next() {
+    if (!this.chain || this.chain.nextIndex > this.chain.length) {
+      await this.load();
+    }
+
+    const index = this.chain.nextIndex;
+    const claimed = await SeedChain.findOneAndUpdate(
+      { _id: this.chain._id, status: 'active', nextIndex: index },
+      { $inc: { nextIndex: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      // Someone else advanced or retired the chain; reload and try again
+      this.chain = null;
+      return this.next();
+    }
+
+    this.chain.nextIndex = claimed.nextIndex;
+
+    return {
+      chainId: this.chain.chainId,
+      chainIndex: index,
+      commitment: this.chain.commitment,
+      seed: this.seeds[index]
+    };
+  }
+
+  // Retire the active chain before it runs out and start a new one. The retired
+  // terminal seed is revealed so every seed it produced can be checked.
+  async rotate() {
+    if (!this.chain) await this.load();
+
+    const retired = this.chain;
+    retired.status = 'rotated';
+    await retired.save();
+
+    this.chain = null;
+    await this.load();
+
+    return {
+      chainId: retired.chainId,
+      commitment: retired.commitment,
+      terminalSeed: retired.terminalSeed,
+      roundsPlayed: retired.nextIndex - 1
+    };
+  }
+
+  // When the active chain was created, or null before it is loaded
+  activeSince() {
+    return this.chain ? this.chain.createdAt : null;
+  }
+
+  getCommitment() {
+    if (!this.chain) return null;
+
+    return {
+      chainId: this.chain.chainId,
+      tableId: this.tableId,
+      commitment: this.chain.commitment,
+      length: this.chain.length,
+      roundsPlayed: this.chain.nextIndex - 1
+    };
+  }
+}
+
+module.exports = HashChain;
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../config/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+const idempotencyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// JSON with object keys sorted, so equal requests hash the same
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (request) => crypto.createHash('sha256').update(canonical(request)).digest('hex');
+
+// Claim `key` for a request before running it. Returns null when the caller
+// should run the request, or the stored response of an earlier run of the
+// same request. A key stays claimed while its first request runs; if that
+// request never finishes (the server died mid-way) the key stays in progress
+// until it expires, since its funds may already have moved.
+const claim = async ({ key, scope, playerId, request }) => {
+  if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    throw idempotencyError(`Idempotency key must be 1-${MAX_KEY_LENGTH} characters`, 400);
+  }
+
+  const requestHash = hashRequest(request);
+  try {
+    await IdempotencyKey.create({ key, scope, playerId, requestHash });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ scope, playerId, key });
+  if (existing && existing.requestHash !== requestHash) {
+    throw idempotencyError('Idempotency key was already used for a different request', 422);
+  }
+  if (!existing || existing.status !== 'completed') {
+    throw idempotencyError('A request with this idempotency key is still in progress', 409);
+  }
+  return existing.response;
+};
+
+// Store the response of a claimed request. A failure leaves the key in
+// progress, which is safe: retries are refused rather than run again.
+const complete = async ({ key, scope, playerId }, response) => {
+  try {
+    await IdempotencyKey.updateOne({ scope, playerId, key }, { $set: { status: 'completed', response } });
+  } catch (error) {
+    logger.error(`Error storing idempotent response for ${scope} ${key}:`, error);
+  }
+};
+
+// Whether a failed request may still have moved funds: a command forwarded
+// to the leader that did not answer in time, or a transaction whose commit
+// was lost
+const outcomeUnknown = (error) => Boolean(error?.outcomeUnknown) ||
+  Boolean(error?.hasErrorLabel?.('UnknownTransactionCommitResult'));
+
+// Give up a claimed key whose request failed, so a retry runs it again.
+// Money requests run in transactions, so a failed one moved nothing, unless
+// its outcome is unknown; then the key is kept in progress instead.
+const release = async ({ key, scope, playerId }) => {
+  try {
+    await IdempotencyKey.deleteOne({ scope, playerId, key, status: 'pending' });
+  } catch (error) {
+    logger.error(`Error releasing idempotency key ${scope} ${key}:`, error);
+  }
+};
+
+// Run `operation` at most once per key and return `{ response, replayed }`.
+// A failed operation releases the key, so it can be retried, unless it may
+// have gone through; retries then get "in progress" until the key expires.
+const run = async (options, operation) => {
+  const stored = await claim(options);
+  if (stored) {
+    return { response: stored.result, replayed: true };
+  }
+
+  let result;
+  try {
+    result = await operation();
+  } catch (error) {
+    if (!outcomeUnknown(error)) await release(options);
+    throw error;
+  }
+
+  await complete(options, { result });
+  return { response: result, replayed: false };
+};
+
+module.exports = { MAX_KEY_LENGTH, hashRequest, outcomeUnknown, claim, complete, release, run };
@@ -0,0 +1,108 @@
+const EventEmitter = require('events');
+const LeaderLease = require('../models/LeaderLease');
+const logger = require('../config/logger');
+const { SystemClock } = require('./Clock');
+
+// Elects one leader among the server instances with a lease document in
+// MongoDB. Every instance tries to take or renew the lease several times per
+// lease period; an instance that fails to renew in time steps down. Emits
+// `elected` and `demoted` when this instance gains or loses the lease.
+class LeaderElection extends EventEmitter {
+  constructor(instanceId, { name = 'game-loop', clock = new SystemClock() } = {}) {
+    super();
+    this.instanceId = instanceId;
+    this.name = name;
+    this.clock = clock;
+    this.leaseMs = parseInt(process.env.LEADER_LEASE_MS) || 4000;
+    this.renewInterval = Math.floor(this.leaseMs / 4);
+    this.isLeader = false;
+    this.leaderId = null; // Holder as of the last check, if any
+    this.leaseExpiresAt = 0; // When our own lease runs out unless renewed
+    this.timer = null;
+    this.checking = false; // A slow check is never overlapped by the next one
+  }
+
+  async start() {
+    await this.check();
+    this.timer = this.clock.setInterval(() => this.check(), this.renewInterval);
+  }
+
+  // Stop campaigning and hand the lease back so another instance can take
+  // over at its next check instead of waiting for the lease to expire
+  async stop() {
+    this.clock.clearInterval(this.timer);
+    this.timer = null;
+    if (!this.isLeader) return;
+
+    this.setLeader(false, null);
+    try {
+      await LeaderLease.updateOne(
+        { name: this.name, holder: this.instanceId },
+        { expiresAt: new Date(0) }
+      );
+    } catch (error) {
+      logger.error('Error releasing leader lease:', error);
+    }
+  }
+
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      const acquired = await this.tryAcquire();
+      if (acquired) {
+        this.setLeader(true, this.instanceId);
+      } else {
+        const lease = await LeaderLease.findOne({ name: this.name });
+        this.setLeader(false, lease && lease.expiresAt.getTime() > this.clock.now() ? lease.holder : null);
+      }
+    } catch (error) {
+      logger.error('Leader election error:', error);
+      // Without the database we cannot know whether the lease was taken
+      // over, so give it up once it would have run out
+      if (this.isLeader && this.clock.now() >= this.leaseExpiresAt) {
+        this.setLeader(false, null);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Take the lease if it is free or expired, or extend it if we hold it. A
+  // lease held by someone else makes the upsert collide on the unique name.
+  async tryAcquire() {
+    const now = this.clock.now();
+    try {
+      await LeaderLease.findOneAndUpdate(
+        {
+          name: this.name,
+          $or: [{ holder: this.instanceId }, { expiresAt: { $lte: new Date(now) } }]
+        },
+        { holder: this.instanceId, expiresAt: new Date(now + this.leaseMs) },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    this.leaseExpiresAt = now + this.leaseMs;
+    return true;
+  }
+
+  setLeader(isLeader, leaderId) {
+    const wasLeader = this.isLeader;
+    this.isLeader = isLeader;
+    this.leaderId = leaderId;
+
+    if (isLeader && !wasLeader) {
+      logger.info(`Instance ${this.instanceId} elected ${this.name} leader`);
+      this.emit('elected');
+    } else if (!isLeader && wasLeader) {
+      logger.warn(`Instance ${this.instanceId} is no longer ${this.name} leader`);
+      this.emit('demoted');
+    }
+  }
+}
+
+module.exports = LeaderElection;
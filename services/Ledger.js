@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+const { CURRENCIES, toUnits } = require('./Units');
+
+// Accounts that belong to no player: the house bankroll, the outside world
+// (deposits and withdrawals) and the budget bonuses are paid from
+const HOUSE = 'house';
+const EXTERNAL = 'external';
+const PROMOTIONS = 'promotions';
+
+const walletAccount = (playerId) => `player:${playerId}`;
+const heldAccount = (playerId) => `player:${playerId}:held`;
+
+// Balance of one of the player's accounts, as stored on the player document
+const storedBalance = (player, account, cryptocurrency) => {
+  if (account === walletAccount(player.playerId)) return toUnits(player.wallet[cryptocurrency]);
+  if (account === heldAccount(player.playerId)) return toUnits(player.heldFunds?.[cryptocurrency]);
+  return undefined;
+};
+
+// Post `amount` base units from one account to another. `player` is the player document
+// after the move, which gives the running balance of the player's side; the
+// caller makes the move and the posting in the same transaction.
+const transfer = async ({ type, cryptocurrency, amount, from, to, player, transactionId, roundId, betId }, session) => {
+  if (amount === 0n) return null;
+  if (typeof amount !== 'bigint' || amount < 0n) throw new Error(`Ledger amount must be positive base units, got ${amount}`);
+
+  const postingId = `post_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  const entry = (account, counterparty, signed) => {
+    const balanceAfter = player ? storedBalance(player, account, cryptocurrency) : undefined;
+    return {
+      postingId,
+      account,
+      counterparty,
+      playerId: balanceAfter !== undefined ? player.playerId : undefined,
+      type,
+      cryptocurrency,
+      amount: signed,
+      balanceAfter,
+      transactionId,
+      roundId,
+      betId
+    };
+  };
+
+  await LedgerEntry.insertMany([entry(from, to, -amount), entry(to, from, amount)], { session });
+  return postingId;
+};
+
+// Post a player's whole stored balance in from `from`: starting balances of a
+// new player, or opening balances of players created before the ledger
+const postBalances = async (player, { type, from }, session) => {
+  for (const cryptocurrency of CURRENCIES) {
+    const accounts = [walletAccount(player.playerId), heldAccount(player.playerId)];
+    for (const account of accounts) {
+      const amount = storedBalance(player, account, cryptocurrency);
+      if (amount > 0n) {
+        await transfer({ type, cryptocurrency, amount, from, to: account, player }, session);
+      }
+    }
+  }
+};
+
+// A player's balances as the ledger has them
+const playerBalances = async (playerId) => {
+  const totals = await LedgerEntry.aggregate([
+    { $match: { playerId } },
+    { $group: { _id: { account: '$account', cryptocurrency: '$cryptocurrency' }, balance: { $sum: '$amount' } } }
+  ]);
+
+  const balances = {
+    wallet: Object.fromEntries(CURRENCIES.map(c => [c, 0n])),
+    heldFunds: Object.fromEntries(CURRENCIES.map(c => [c, 0n]))
+  };
+  for (const { _id, balance } of totals) {
+    const field = _id.account === heldAccount(playerId) ? 'heldFunds' : 'wallet';
+    balances[field][_id.cryptocurrency] = toUnits(balance);
+  }
+  return balances;
+};
+
+// Check a player's stored wallet and held funds against the ledger. Amounts
+// are whole base units, so they must match exactly.
+const reconcile = async (player) => {
+  const ledger = await playerBalances(player.playerId);
+  const discrepancies = [];
+
+  for (const cryptocurrency of CURRENCIES) {
+    for (const [field, account] of [['wallet', walletAccount(player.playerId)], ['heldFunds', heldAccount(player.playerId)]]) {
+      const stored = storedBalance(player, account, cryptocurrency);
+      if (stored !== ledger[field][cryptocurrency]) {
+        discrepancies.push({ account, cryptocurrency, stored, ledger: ledger[field][cryptocurrency] });
+      }
+    }
+  }
+  return { balanced: discrepancies.length === 0, ledger, discrepancies };
+};
+
+// Sum of every entry per currency; anything but zero means a lost entry
+const trialBalance = async () => {
+  const totals = await LedgerEntry.aggregate([
+    { $group: { _id: '$cryptocurrency', total: { $sum: '$amount' } } }
+  ]);
+  return Object.fromEntries(totals.map(({ _id, total }) => [_id, toUnits(total)]));
+};
+
+module.exports = {
+  HOUSE,
+  EXTERNAL,
+  PROMOTIONS,
+  walletAccount,
+  heldAccount,
+  transfer,
+  postBalances,
+  playerBalances,
+  reconcile,
+  trialBalance
+};
@@ -0,0 +1,99 @@
+// Multiplier growth curves. Each maps seconds since the round started to a
+// multiplier and back, so the crash instant is known as soon as the crash
+// point is. `describe()` is sent to clients so they can draw the same curve.
+
+// m(t) = 1 + rate * t
+class LinearCurve {
+  constructor({ rate = 0.1 } = {}) {
+    if (!(rate > 0)) throw new Error('Linear curve rate must be positive');
+    this.rate = rate;
+  }
+
+  multiplierAt(seconds) {
+    return 1 + this.rate * seconds;
+  }
+
+  timeAt(multiplier) {
+    return Math.max(0, (multiplier - 1) / this.rate);
+  }
+
+  describe() {
+    return { type: 'linear', rate: this.rate };
+  }
+}
+
+// m(t) = e^(k * t)
+class ExponentialCurve {
+  constructor({ k = 0.06 } = {}) {
+    if (!(k > 0)) throw new Error('Exponential curve k must be positive');
+    this.k = k;
+  }
+
+  multiplierAt(seconds) {
+    return Math.exp(this.k * seconds);
+  }
+
+  timeAt(multiplier) {
+    return Math.max(0, Math.log(multiplier) / this.k);
+  }
+
+  describe() {
+    return { type: 'exponential', k: this.k };
+  }
+}
+
+// m(t) = 1 + c1*t + c2*t^2 + ... ; coefficients must be non-negative (and not
+// all zero) so the curve keeps rising and the inverse is well defined
+class PolynomialCurve {
+  constructor({ coefficients = [0.05, 0.01] } = {}) {
+    if (!Array.isArray(coefficients) || coefficients.length === 0 ||
+        coefficients.some(c => !(c >= 0)) || !coefficients.some(c => c > 0)) {
+      throw new Error('Polynomial curve needs non-negative coefficients, at least one positive');
+    }
+    this.coefficients = coefficients;
+  }
+
+  multiplierAt(seconds) {
+    return this.coefficients.reduce(
+      (sum, c, i) => sum + c * Math.pow(seconds, i + 1),
+      1
+    );
+  }
+
+  // No closed form in general; bisect, since the curve is monotonic
+  timeAt(multiplier) {
+    if (multiplier <= 1) return 0;
+
+    let low = 0;
+    let high = 1;
+    while (this.multiplierAt(high) < multiplier) high *= 2;
+
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (this.multiplierAt(mid) < multiplier) low = mid;
+      else high = mid;
+    }
+    return high;
+  }
+
+  describe() {
+    return { type: 'polynomial', coefficients: this.coefficients };
+  }
+}
+
+const curveTypes = {
+  linear: LinearCurve,
+  exponential: ExponentialCurve,
+  polynomial: PolynomialCurve
+};
+
+const createCurve = (config = {}) => {
+  const { type = 'exponential', ...params } = config;
+  const Curve = curveTypes[type];
+  if (!Curve) {
+    throw new Error(`Unknown multiplier curve: ${type}`);
+  }
+  return new Curve(params);
+};
+
+module.exports = { createCurve, LinearCurve, ExponentialCurve, PolynomialCurve };
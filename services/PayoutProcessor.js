@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// Stands in for a blockchain: a payout is "broadcast" after
+// PAYOUT_PROCESSOR_DELAY ms and gets a random transaction hash. A share of
+// payouts (PAYOUT_FAILURE_RATE, default none) is rejected, to exercise the
+// failure path.
+class PayoutProcessor {
+  constructor({
+    delay = parseInt(process.env.PAYOUT_PROCESSOR_DELAY) || 2000,
+    failureRate = parseFloat(process.env.PAYOUT_FAILURE_RATE) || 0
+  } = {}) {
+    this.delay = delay;
+    this.failureRate = failureRate;
+  }
+
+  // Resolves with `{ txHash }` once sent, or rejects if the chain refused it
+  async send({ cryptocurrency, address }) {
+    await new Promise(resolve => setTimeout(resolve, this.delay));
+
+    if (Math.random() < this.failureRate) {
+      throw new Error(`${cryptocurrency} network rejected the payout to ${address}`);
+    }
+    return { txHash: crypto.randomBytes(32).toString('hex') };
+  }
+}
+
+module.exports = PayoutProcessor;
@@ -0,0 +1,68 @@
+const GameRound = require('../models/GameRound');
+const RoundEvent = require('../models/RoundEvent');
+const Units = require('./Units');
+
+// Replay speed bounds; 1 is real time
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 50;
+
+const replayError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Amounts in event data that the log keeps as base-unit strings
+const AMOUNT_FIELDS = ['cryptoAmount', 'stake', 'payout'];
+
+// Event data with its amounts as decimal Numbers
+const describeData = (data) => {
+  if (!data?.cryptocurrency) return data;
+
+  const described = { ...data };
+  for (const field of AMOUNT_FIELDS) {
+    if (typeof data[field] === 'string') described[field] = Units.toNumber(data[field], data.cryptocurrency);
+  }
+  return described;
+};
+
+// A finished round's event log as a timeline. `offset` is the delay in ms,
+// at the given speed, from the first event (betting opening) to each event.
+const loadReplay = async (roundId, speed = 1) => {
+  if (!(speed >= MIN_SPEED && speed <= MAX_SPEED)) {
+    throw replayError(`Speed must be between ${MIN_SPEED} and ${MAX_SPEED}`, 400);
+  }
+
+  const round = await GameRound.findOne({ roundId });
+  if (!round) {
+    throw replayError('Round not found', 404);
+  }
+
+  // A running round would give away what is still to come
+  if (!['crashed', 'voided'].includes(round.status)) {
+    throw replayError('Round has not finished yet', 409);
+  }
+
+  const events = await RoundEvent.find({ roundId }).sort({ at: 1, seq: 1 });
+  const origin = events.length > 0 ? events[0].at.getTime() : round.startTime.getTime();
+  const offsetOf = (event) => Math.round((event.at.getTime() - origin) / speed);
+
+  return {
+    roundId: round.roundId,
+    tableId: round.tableId,
+    status: round.status,
+    crashPoint: round.status === 'crashed' ? round.crashPoint : null,
+    voidReason: round.voidReason,
+    speed,
+    duration: events.length > 0 ? offsetOf(events[events.length - 1]) : 0,
+    events: events.map(event => ({
+      seq: event.seq,
+      type: event.type,
+      at: event.at,
+      offset: offsetOf(event),
+      data: describeData(event.data)
+    }))
+  };
+};
+
+module.exports = { loadReplay, MIN_SPEED, MAX_SPEED };
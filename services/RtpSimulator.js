@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const CrashPoint = require('./CrashPoint');
+const { createCurve } = require('./MultiplierCurve');
+
+// Monte Carlo simulation of many rounds through the same crash point logic the
+// game uses, against simple player strategies. Used by scripts/simulate.js.
+
+// Upper edges of the crash point histogram buckets; the last bucket is open
+const CRASH_BUCKETS = [1.01, 1.5, 2, 3, 5, 10, 20, 50, 100, 1000];
+
+// Small seeded PRNG so random strategies are reproducible with --seed
+const createRng = (seed) => {
+  let state = parseInt(crypto.createHash('sha256').update(seed).digest('hex').substring(0, 8), 16);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// "fixed:2" cashes out at 2x every round; "random:1.1:10" picks a target
+// uniformly between 1.1x and 10x each round
+const parseStrategy = (spec) => {
+  const [type, ...args] = String(spec).split(':');
+  const values = args.map(parseFloat);
+
+  if (type === 'fixed' && values.length === 1 && values[0] > 1) {
+    return { name: spec, type, target: values[0] };
+  }
+  if (type === 'random' && values.length === 2 && values[0] > 1 && values[1] > values[0]) {
+    return { name: spec, type, min: values[0], max: values[1] };
+  }
+  throw new Error(`Invalid strategy: ${spec} (use fixed:<target> or random:<min>:<max>)`);
+};
+
+class RtpSimulator {
+  constructor({ houseEdge, maxCrash, curve, strategies, stake = 1, seed } = {}) {
+    if (!strategies || strategies.length === 0) {
+      throw new Error('At least one strategy is required');
+    }
+    if (!(stake > 0)) {
+      throw new Error('Stake must be positive');
+    }
+
+    this.distribution = new CrashPoint({ houseEdge, maxCrash });
+    this.curve = createCurve(curve);
+    this.strategies = strategies.map(s => (typeof s === 'string' ? parseStrategy(s) : s));
+    this.stake = stake;
+    this.seed = seed || crypto.randomBytes(32).toString('hex');
+  }
+
+  // Round i uses the simulation seed as server seed and i as the nonce
+  run(rounds) {
+    if (!(rounds > 0)) throw new Error('Rounds must be positive');
+
+    const rng = createRng(this.seed);
+    const crashPoints = new Float64Array(rounds);
+    const players = this.strategies.map(strategy => ({ strategy, wagered: 0, paid: 0, wins: 0 }));
+    const buckets = new Array(CRASH_BUCKETS.length + 1).fill(0);
+
+    let totalDuration = 0;
+    let instantCrashes = 0;
+
+    // House profit per round: running mean/variance (Welford) and drawdown
+    let mean = 0;
+    let m2 = 0;
+    let balance = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+
+    for (let i = 0; i < rounds; i++) {
+      const crashPoint = this.distribution.calculate(this.seed, 'simulation', i);
+      crashPoints[i] = crashPoint;
+      totalDuration += this.curve.timeAt(crashPoint);
+      if (crashPoint === 1) instantCrashes++;
+
+      let bucket = CRASH_BUCKETS.findIndex(edge => crashPoint < edge);
+      if (bucket === -1) bucket = CRASH_BUCKETS.length;
+      buckets[bucket]++;
+
+      let profit = 0;
+      for (const player of players) {
+        const { strategy } = player;
+        const target = strategy.type === 'fixed'
+          ? strategy.target
+          : strategy.min + rng() * (strategy.max - strategy.min);
+
+        player.wagered += this.stake;
+        profit += this.stake;
+
+        // Same rule as auto cashout: targets at or above the crash point lose
+        if (target < crashPoint) {
+          const payout = this.stake * target;
+          player.paid += payout;
+          player.wins++;
+          profit -= payout;
+        }
+      }
+
+      const delta = profit - mean;
+      mean += delta / (i + 1);
+      m2 += delta * (profit - mean);
+
+      balance += profit;
+      peak = Math.max(peak, balance);
+      maxDrawdown = Math.max(maxDrawdown, peak - balance);
+    }
+
+    crashPoints.sort();
+    const quantile = (q) => crashPoints[Math.min(rounds - 1, Math.floor(q * rounds))];
+
+    const wagered = players.reduce((sum, p) => sum + p.wagered, 0);
+    const paid = players.reduce((sum, p) => sum + p.paid, 0);
+    const variance = rounds > 1 ? m2 / (rounds - 1) : 0;
+
+    return {
+      parameters: {
+        rounds,
+        seed: this.seed,
+        stake: this.stake,
+        distribution: this.distribution.describe(),
+        curve: this.curve.describe()
+      },
+      summary: {
+        wagered,
+        paid,
+        houseProfit: wagered - paid,
+        rtp: paid / wagered,
+        theoreticalRtp: this.theoreticalRtp(),
+        houseProfitPerRound: {
+          mean,
+          variance,
+          stdDev: Math.sqrt(variance)
+        },
+        maxDrawdown,
+        averageRoundSeconds: totalDuration / rounds
+      },
+      strategies: players.map(p => ({
+        strategy: p.strategy.name,
+        wagered: p.wagered,
+        paid: p.paid,
+        rtp: p.paid / p.wagered,
+        theoreticalRtp: this.strategyRtp(p.strategy),
+        winRate: p.wins / rounds
+      })),
+      crashPoints: {
+        mean: crashPoints.reduce((sum, c) => sum + c, 0) / rounds,
+        instantCrashRate: instantCrashes / rounds,
+        p50: quantile(0.5),
+        p90: quantile(0.9),
+        p99: quantile(0.99),
+        max: crashPoints[rounds - 1],
+        histogram: buckets.map((count, i) => ({
+          from: i === 0 ? 1 : CRASH_BUCKETS[i - 1],
+          to: i < CRASH_BUCKETS.length ? CRASH_BUCKETS[i] : null,
+          count,
+          share: count / rounds
+        }))
+      }
+    };
+  }
+
+  // Expected RTP of a strategy; random targets are averaged numerically
+  strategyRtp(strategy) {
+    if (strategy.type === 'fixed') return this.distribution.rtpAt(strategy.target);
+
+    const steps = 1000;
+    let sum = 0;
+    for (let i = 0; i < steps; i++) {
+      const target = strategy.min + ((i + 0.5) / steps) * (strategy.max - strategy.min);
+      sum += this.distribution.rtpAt(target);
+    }
+    return sum / steps;
+  }
+
+  theoreticalRtp() {
+    const rtps = this.strategies.map(s => this.strategyRtp(s));
+    return rtps.reduce((sum, r) => sum + r, 0) / rtps.length;
+  }
+}
+
+// Flatten a report into section,metric,value rows
+const toCsv = (report) => {
+  const rows = [['section', 'metric', 'value']];
+  const add = (section, metric, value) => rows.push([section, metric, value]);
+
+  const { parameters, summary, strategies, crashPoints } = report;
+  add('parameters', 'rounds', parameters.rounds);
+  add('parameters', 'seed', parameters.seed);
+  add('parameters', 'stake', parameters.stake);
+  Object.entries(parameters.distribution).forEach(([key, value]) => add('parameters', key, value));
+  add('parameters', 'curve', JSON.stringify(parameters.curve));
+
+  ['wagered', 'paid', 'houseProfit', 'rtp', 'theoreticalRtp', 'maxDrawdown', 'averageRoundSeconds']
+    .forEach(key => add('summary', key, summary[key]));
+  Object.entries(summary.houseProfitPerRound)
+    .forEach(([key, value]) => add('summary', `houseProfitPerRound.${key}`, value));
+
+  strategies.forEach(s => {
+    ['wagered', 'paid', 'rtp', 'theoreticalRtp', 'winRate']
+      .forEach(key => add(`strategy ${s.strategy}`, key, s[key]));
+  });
+
+  ['mean', 'instantCrashRate', 'p50', 'p90', 'p99', 'max']
+    .forEach(key => add('crashPoints', key, crashPoints[key]));
+  crashPoints.histogram.forEach(b => {
+    add('crashHistogram', `${b.from}-${b.to === null ? 'inf' : b.to}`, b.count);
+  });
+
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+};
+
+module.exports = { RtpSimulator, parseStrategy, toCsv };
@@ -0,0 +1,131 @@
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { tables, defaultTableId } = require('../config/tables');
+const GameManager = require('./GameManager');
+const Bankroll = require('./Bankroll');
+const ClusterBus = require('./ClusterBus');
+const LeaderElection = require('./LeaderElection');
+
+// Game commands a follower may forward to the leader
+const REMOTE_ACTIONS = [
+  'placeBet',
+  'cancelQueuedBet',
+  'cashOut',
+  'requestSeedRotation',
+  'getGameState',
+  'getLoopStatus',
+  'getConfig',
+  'updateConfig',
+  'pause',
+  'resume',
+  'voidCurrentRound',
+  'forceCrash'
+];
+
+// Owns one GameManager per configured table. With several server instances
+// only the elected leader runs the round loops; the others relay its events
+// to their own sockets and forward game commands to it.
+class TableRegistry {
+  constructor(io) {
+    this.io = io;
+    this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.managers = new Map();
+    this.bankroll = new Bankroll();
+    this.bus = new ClusterBus(this.instanceId);
+    this.election = new LeaderElection(this.instanceId);
+
+    // Round events reach this instance's sockets directly and every other
+    // instance's through the bus
+    const relayedIo = this.bus.relay(io);
+    for (const table of tables) {
+      this.managers.set(table.id, new GameManager(relayedIo, table, { bankroll: this.bankroll }));
+    }
+    // For events any instance sends, such as updates to a player's room
+    this.playerIo = this.bus.relay(io, { anyInstance: true });
+
+    this.bus.on('event', ({ room, event, data, anyInstance }) => {
+      if (anyInstance || !this.election.isLeader) io.to(room).emit(event, data);
+    });
+    this.bus.serve(command => this.runCommand(command));
+    this.election.on('elected', () => this.startTables());
+    this.election.on('demoted', () => this.stopTables());
+  }
+
+  async start() {
+    logger.info(`Instance ${this.instanceId} joining the cluster`);
+    this.bus.start();
+    await this.election.start();
+  }
+
+  async stop() {
+    this.stopTables();
+    await this.election.stop();
+    this.bus.stop();
+  }
+
+  async startTables() {
+    // Round payout caps come from the bankroll, so load it before any round
+    try {
+      await this.bankroll.load();
+    } catch (error) {
+      logger.error('Error loading house bankroll:', error);
+    }
+
+    logger.info(`Starting ${this.managers.size} game tables`);
+    for (const manager of this.managers.values()) {
+      manager.start();
+    }
+  }
+
+  stopTables() {
+    for (const manager of this.managers.values()) {
+      manager.stop();
+    }
+  }
+
+  // Run a game command on the table, here if this instance leads or on the
+  // leader otherwise
+  async call(tableId, action, ...args) {
+    if (this.election.isLeader) {
+      return this.runCommand({ tableId, action, args });
+    }
+    if (!this.election.leaderId) {
+      throw new Error('No game server is running the tables, please try again shortly');
+    }
+    return this.bus.request(this.election.leaderId, { tableId, action, args });
+  }
+
+  async runCommand({ tableId, action, args }) {
+    if (!this.election.isLeader) {
+      throw new Error('Game server is no longer running the tables, please try again');
+    }
+    if (!REMOTE_ACTIONS.includes(action)) {
+      throw new Error(`Unknown game command: ${action}`);
+    }
+
+    const manager = this.get(tableId);
+    if (!manager) {
+      throw new Error(`Unknown table: ${tableId}`);
+    }
+    return manager[action](...(args || []));
+  }
+
+  get(tableId) {
+    return this.managers.get(tableId || defaultTableId) || null;
+  }
+
+  tableIds() {
+    return Array.from(this.managers.keys());
+  }
+
+  list() {
+    return Array.from(this.managers.values()).map(manager => ({
+      ...manager.table,
+      currentRound: manager.currentRound ? manager.currentRound.roundId : null,
+      status: manager.currentRound ? manager.currentRound.status : null
+    }));
+  }
+}
+
+module.exports = TableRegistry;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Crypto amounts are integer counts of each currency's smallest unit
+// (satoshis, wei, USDT micro-units): BigInt in code and Decimal128 in
+// MongoDB, since wei overflow both Numbers and 64-bit integers. Decimal
+// amounts only appear at the API and socket boundary.
+const DECIMALS = { BTC: 8, ETH: 18, USDT: 6 };
+const CURRENCIES = Object.keys(DECIMALS);
+
+// Multipliers and cashout percentages are applied at this precision
+const MULTIPLIER_DECIMALS = 8;
+const PERCENTAGE_DECIMALS = 4;
+
+const Decimal128 = mongoose.Schema.Types.Decimal128;
+
+// Mongoose's own Decimal128 cast, which does not take BigInt
+const castDecimal128 = Decimal128.cast();
+
+// Schema type of an amount field: documents, filters and updates take BigInt
+// amounts directly, and it is read back as BigInt
+const unitsField = (options = {}) => ({
+  type: Decimal128,
+  cast: value => castDecimal128(typeof value === 'bigint' ? value.toString() : value),
+  get: value => (value == null ? value : BigInt(value.toString())),
+  ...options
+});
+
+const decimalsOf = (cryptocurrency) => {
+  if (!(cryptocurrency in DECIMALS)) throw new Error(`Unsupported cryptocurrency: ${cryptocurrency}`);
+  return DECIMALS[cryptocurrency];
+};
+
+// Count of 10^-decimals in a decimal string such as '1.5', '-2' or '1e-7'.
+// Digits past `decimals` are an error unless `round` is set.
+const parseDecimal = (text, decimals, { round = false } = {}) => {
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(text).trim());
+  if (!match || !(match[2] || match[3])) throw new Error(`Invalid amount: ${text}`);
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const digits = BigInt(whole + fraction);
+  const shift = decimals + parseInt(exponent, 10) - fraction.length;
+
+  let value;
+  if (shift >= 0) {
+    value = digits * 10n ** BigInt(shift);
+  } else {
+    const divisor = 10n ** BigInt(-shift);
+    const remainder = digits % divisor;
+    if (remainder !== 0n && !round) throw new Error(`Amount has more than ${decimals} decimal places: ${text}`);
+    value = digits / divisor + (remainder * 2n >= divisor ? 1n : 0n);
+  }
+  return sign === '-' ? -value : value;
+};
+
+// BigInt of a stored amount (Decimal128, BigInt or integer string); missing is 0
+const toUnits = (value) => {
+  if (value == null) return 0n;
+  if (typeof value === 'bigint') return value;
+  return parseDecimal(value.toString(), 0);
+};
+
+// Base units of an amount a user entered, exactly
+const parseUnits = (amount, cryptocurrency) => parseDecimal(amount, decimalsOf(cryptocurrency));
+
+// Base units nearest to a computed amount, such as a USD stake over a price
+const fromNumber = (amount, cryptocurrency) => {
+  if (!Number.isFinite(amount)) throw new Error(`Invalid amount: ${amount}`);
+  return parseDecimal(String(amount), decimalsOf(cryptocurrency), { round: true });
+};
+
+// Exact decimal string of an amount, without trailing zeros
+const formatUnits = (units, cryptocurrency) => {
+  const decimals = decimalsOf(cryptocurrency);
+  const value = toUnits(units);
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${value < 0n ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+// Decimal Number of an amount, for API responses and socket events
+const toNumber = (units, cryptocurrency) => Number(formatUnits(units, cryptocurrency));
+
+// Every currency of a wallet-shaped object as decimal Numbers
+const formatWallet = (wallet) => Object.fromEntries(CURRENCIES.map(c => [c, toNumber(wallet?.[c], c)]));
+
+const usdToUnits = (usdAmount, price, cryptocurrency) => fromNumber(usdAmount / price, cryptocurrency);
+
+const unitsToUsd = (units, price, cryptocurrency) => toNumber(units, cryptocurrency) * price;
+
+// Payout of `units` at `multiplier`, rounded down in the house's favour
+const applyMultiplier = (units, multiplier) => {
+  const scaled = parseDecimal(String(multiplier), MULTIPLIER_DECIMALS, { round: true });
+  return units * scaled / 10n ** BigInt(MULTIPLIER_DECIMALS);
+};
+
+// `percentage` of `units`, rounded down
+const percentageOf = (units, percentage) => {
+  const scaled = parseDecimal(String(percentage), PERCENTAGE_DECIMALS, { round: true });
+  return units * scaled / (100n * 10n ** BigInt(PERCENTAGE_DECIMALS));
+};
+
+module.exports = {
+  DECIMALS,
+  CURRENCIES,
+  unitsField,
+  toUnits,
+  parseUnits,
+  fromNumber,
+  formatUnits,
+  toNumber,
+  formatWallet,
+  usdToUnits,
+  unitsToUsd,
+  applyMultiplier,
+  percentageOf
+};
@@ -1,11 +1,18 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const logger = require('../config/logger');
 const Player = require('../models/Player');
+const Ledger = require('./Ledger');
+const Units = require('./Units');
+const Idempotency = require('./Idempotency');
+const { loadReplay } = require('./RoundReplay');
 
 class WebSocketHandler {
-  constructor(io, gameManager) {
+  constructor(io, tableRegistry) {
     this.io = io;
-    this.gameManager = gameManager;
+    this.tableRegistry = tableRegistry;
     this.connectedPlayers = new Map(); // socketId -> playerId mapping
+    this.latencyProbeInterval = parseInt(process.env.LATENCY_PROBE_INTERVAL) || 5000;
     
     this.initializeSocketHandlers();
   }
@@ -14,6 +21,8 @@ class WebSocketHandler {
     this.io.on('connection', (socket) => {
       logger.info(`Client connected: ${socket.id}`);
 
+      this.startLatencyProbes(socket);
+
       // Handle player authentication/registration
       socket.on('player:join', async (data) => {
         try {
@@ -23,28 +32,64 @@ class WebSocketHandler {
         }
       });
 
+      // Handle table selection
+      socket.on('table:join', async (data) => {
+        try {
+          await this.handleTableJoin(socket, data);
+        } catch (error) {
+          socket.emit('error', { message: error.message });
+        }
+      });
+
       // Handle bet placement
       socket.on('game:bet', async (data) => {
         try {
           await this.handleBet(socket, data);
         } catch (error) {
-          socket.emit('error', { message: error.message });
+          socket.emit('error', { message: error.message, requestId: data?.requestId });
+        }
+      });
+
+      // Handle cancelling a bet queued for the next round
+      socket.on('game:cancel-queued', async (data) => {
+        try {
+          await this.handleCancelQueued(socket, data);
+        } catch (error) {
+          socket.emit('error', { message: error.message, requestId: data?.requestId });
         }
       });
 
       // Handle cashout request
-      socket.on('game:cashout', async () => {
+      socket.on('game:cashout', async (data) => {
         try {
-          await this.handleCashout(socket);
+          await this.handleCashout(socket, data);
+        } catch (error) {
+          socket.emit('error', { message: error.message, requestId: data?.requestId });
+        }
+      });
+
+      // Handle client seed change
+      socket.on('seed:client', async (data) => {
+        try {
+          await this.handleClientSeed(socket, data);
+        } catch (error) {
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      // Handle seed chain rotation request
+      socket.on('seed:rotate', async () => {
+        try {
+          await this.handleSeedRotation(socket);
         } catch (error) {
           socket.emit('error', { message: error.message });
         }
       });
 
       // Handle game state request
-      socket.on('game:state', () => {
+      socket.on('game:state', async () => {
         try {
-          this.handleGameStateRequest(socket);
+          await this.handleGameStateRequest(socket);
         } catch (error) {
           socket.emit('error', { message: error.message });
         }
@@ -59,20 +104,40 @@ class WebSocketHandler {
         }
       });
 
+      // Handle replay of a finished round
+      socket.on('round:replay', async (data) => {
+        try {
+          await this.handleReplay(socket, data);
+        } catch (error) {
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      socket.on('replay:stop', () => {
+        this.stopReplay(socket);
+      });
+
+      // Handle latency probe replies
+      socket.on('latency:ack', (data) => {
+        this.handleLatencyAck(socket, data);
+      });
+
       // Handle disconnect
       socket.on('disconnect', () => {
+        clearInterval(socket.latencyTimer);
+        this.stopReplay(socket);
         this.handleDisconnect(socket);
       });
 
-      // Handle ping/pong for connection health
-      socket.on('ping', () => {
-        socket.emit('pong');
+      // Handle ping/pong for connection health and client clock-offset estimation
+      socket.on('ping', (data) => {
+        socket.emit('pong', { clientTime: data?.clientTime, serverTime: Date.now() });
       });
     });
   }
 
   async handlePlayerJoin(socket, data) {
-    const { playerId, username } = data;
+    const { playerId, username, tableId } = data;
 
     if (!playerId || !username) {
       throw new Error('Player ID and username are required');
@@ -82,11 +147,15 @@ class WebSocketHandler {
     let player = await Player.findOne({ playerId });
     
     if (!player) {
-      player = new Player({
-        playerId,
-        username: username.trim().substring(0, 50) // Limit username length
+      // The starting balance is a bonus, posted to the ledger with the player
+      player = await mongoose.connection.transaction(async (session) => {
+        const [created] = await Player.create([{
+          playerId,
+          username: username.trim().substring(0, 50) // Limit username length
+        }], { session });
+        await Ledger.postBalances(created, { type: 'bonus', from: Ledger.PROMOTIONS }, session);
+        return created;
       });
-      await player.save();
       logger.info(`New player created: ${playerId} (${username})`);
     } else {
       // Update username if changed
@@ -100,14 +169,18 @@ class WebSocketHandler {
     this.connectedPlayers.set(socket.id, playerId);
     socket.playerId = playerId;
 
-    // Join player to game room
+    // Join player to game room, their own room and the requested table
     socket.join('game');
+    socket.join(`player:${playerId}`);
+    this.seatAtTable(socket, tableId);
 
     // Send welcome message with current game state
     socket.emit('player:joined', {
       playerId,
       username: player.username,
-      wallet: player.wallet,
+      wallet: Units.formatWallet(player.wallet),
+      heldFunds: Units.formatWallet(player.heldFunds),
+      clientSeed: player.clientSeed,
       stats: {
         totalGamesPlayed: player.totalGamesPlayed,
         totalWon: player.totalWon,
@@ -116,10 +189,50 @@ class WebSocketHandler {
     });
 
     // Send current game state
-    const gameState = this.gameManager.getGameState();
+    const gameState = await this.callTable(socket, 'getGameState');
     socket.emit('game:state', gameState);
 
-    logger.info(`Player joined: ${playerId} (${username})`);
+    logger.info(`Player joined: ${playerId} (${username}) at table ${socket.tableId}`);
+  }
+
+  async handleTableJoin(socket, data) {
+    const { tableId } = data || {};
+    const manager = this.seatAtTable(socket, tableId);
+
+    socket.emit('table:joined', { tableId: manager.table.id, table: manager.table });
+    socket.emit('game:state', await this.callTable(socket, 'getGameState'));
+  }
+
+  // Move a socket into a table room, leaving any previous one
+  seatAtTable(socket, tableId) {
+    const manager = this.tableRegistry.get(tableId);
+    if (!manager) {
+      throw new Error(`Unknown table: ${tableId}`);
+    }
+
+    if (socket.tableId && socket.tableId !== manager.table.id) {
+      socket.leave(`table:${socket.tableId}`);
+    }
+
+    socket.tableId = manager.table.id;
+    socket.join(manager.room);
+    return manager;
+  }
+
+  // The registry falls back to the default table, so check the socket has
+  // joined one before asking it
+  getGameManager(socket) {
+    const manager = socket.tableId && this.tableRegistry.get(socket.tableId);
+    if (!manager) {
+      throw new Error('Join a table first');
+    }
+    return manager;
+  }
+
+  // Run a game command on the socket's table, wherever its loop is running
+  callTable(socket, action, ...args) {
+    const manager = this.getGameManager(socket);
+    return this.tableRegistry.call(manager.table.id, action, ...args);
   }
 
   async handleBet(socket, data) {
@@ -128,7 +241,7 @@ class WebSocketHandler {
       throw new Error('Player not authenticated');
     }
 
-    const { usdAmount, cryptocurrency } = data;
+    const { usdAmount, cryptocurrency, autoCashoutAt, slot } = data;
 
     // Validate input
     if (!usdAmount || usdAmount <= 0) {
@@ -139,45 +252,231 @@ class WebSocketHandler {
       throw new Error('Invalid cryptocurrency');
     }
 
-    // Place bet through game manager
-    const bet = await this.gameManager.placeBet(
-      playerId, 
-      parseFloat(usdAmount), 
-      cryptocurrency.toUpperCase()
-    );
+    const target = autoCashoutAt ? parseFloat(autoCashoutAt) : undefined;
+    if (target !== undefined && !(target > 1)) {
+      throw new Error('Invalid auto cashout target');
+    }
+
+    await this.runOnce(socket, 'game:bet', data, async () => {
+      // Place bet through game manager
+      const bet = await this.callTable(socket, 'placeBet',
+        playerId,
+        parseFloat(usdAmount),
+        cryptocurrency.toUpperCase(),
+        { autoCashoutAt: target, slot: slot ? parseInt(slot) : 1 }
+      );
+
+      if (bet.queued) {
+        logger.info(`Bet queued via WebSocket: ${playerId} - $${usdAmount}`);
+        return {
+          event: 'bet:queued',
+          payload: {
+            tableId: socket.tableId,
+            queueId: bet.queueId,
+            slot: bet.slot,
+            usdAmount: bet.usdAmount,
+            cryptoAmount: bet.cryptoAmount,
+            cryptocurrency: bet.cryptocurrency,
+            priceAtTime: bet.priceAtTime,
+            autoCashoutAt: bet.autoCashoutAt
+          }
+        };
+      }
 
-    // Confirm bet to player
-    socket.emit('bet:confirmed', {
-      roundId: bet.roundId,
-      usdAmount: bet.usdAmount,
-      cryptoAmount: bet.cryptoAmount,
-      cryptocurrency: bet.cryptocurrency,
-      priceAtTime: bet.priceAtTime
+      // Confirm bet to player
+      logger.info(`Bet handled via WebSocket: ${playerId} - $${usdAmount}`);
+      return {
+        event: 'bet:confirmed',
+        payload: {
+          tableId: socket.tableId,
+          roundId: bet.roundId,
+          betId: bet.betId,
+          slot: bet.slot,
+          usdAmount: bet.usdAmount,
+          cryptoAmount: bet.cryptoAmount,
+          cryptocurrency: bet.cryptocurrency,
+          priceAtTime: bet.priceAtTime,
+          autoCashoutAt: bet.autoCashoutAt
+        }
+      };
     });
+  }
+
+  async handleCancelQueued(socket, data) {
+    const playerId = socket.playerId;
+    if (!playerId) {
+      throw new Error('Player not authenticated');
+    }
 
-    logger.info(`Bet handled via WebSocket: ${playerId} - $${usdAmount}`);
+    const { queueId } = data || {};
+    if (!queueId) {
+      throw new Error('Queued bet ID is required');
+    }
+
+    await this.runOnce(socket, 'game:cancel-queued', data, async () => ({
+      event: 'bet:queue-cancelled',
+      payload: await this.callTable(socket, 'cancelQueuedBet', playerId, queueId)
+    }));
   }
 
-  async handleCashout(socket) {
+  async handleCashout(socket, data) {
     const playerId = socket.playerId;
     if (!playerId) {
       throw new Error('Player not authenticated');
     }
 
-    // Process cashout through game manager
-    const result = await this.gameManager.cashOut(playerId);
+    const { betId, percentage, clientTime } = data || {};
+    const share = percentage !== undefined ? parseFloat(percentage) : 100;
+    if (!(share > 0 && share <= 100)) {
+      throw new Error('Invalid cashout percentage');
+    }
 
-    // Confirm cashout to player
-    socket.emit('cashout:confirmed', {
-      multiplier: result.multiplier,
-      payout: result.payout
+    await this.runOnce(socket, 'game:cashout', data, async () => {
+      // Process cashout through game manager, timed at the client's press
+      const result = await this.callTable(socket, 'cashOut', playerId, betId, share, {
+        clientTime: clientTime !== undefined ? Number(clientTime) : undefined,
+        latency: this.getLatency(socket),
+        receivedAt: Date.now()
+      });
+
+      logger.info(`Cashout handled via WebSocket: ${playerId} - ${share}% at ${result.multiplier}x`);
+
+      // Confirm cashout to player
+      return {
+        event: 'cashout:confirmed',
+        payload: {
+          betId: result.betId,
+          slot: result.slot,
+          multiplier: result.multiplier,
+          percentage: result.percentage,
+          partial: result.partial,
+          remaining: result.remaining,
+          payout: result.payout
+        }
+      };
     });
+  }
+
+  // Run a money command and send the player its reply event. With a
+  // `requestId` in the data a command that succeeded is not run again: a
+  // repeat (say, re-emitted after a reconnect) gets the original reply,
+  // marked `replayed`. A failed command may be retried with the same ID,
+  // unless the leader may still have run it (see Idempotency.run).
+  async runOnce(socket, command, data, handler) {
+    const { requestId, ...request } = data || {};
+    if (requestId === undefined || requestId === null) {
+      const { event, payload } = await handler();
+      socket.emit(event, payload);
+      return;
+    }
+
+    const { response, replayed } = await Idempotency.run({
+      key: String(requestId),
+      scope: `socket ${command}`,
+      playerId: socket.playerId,
+      request
+    }, handler);
+
+    socket.emit(response.event, { ...response.payload, requestId, ...(replayed && { replayed: true }) });
+  }
+
+  async handleClientSeed(socket, data) {
+    const playerId = socket.playerId;
+    if (!playerId) {
+      throw new Error('Player not authenticated');
+    }
+
+    const clientSeed = typeof data?.clientSeed === 'string' ? data.clientSeed.trim() : '';
+    if (!clientSeed || clientSeed.length > 64) {
+      throw new Error('Client seed must be 1-64 characters');
+    }
+
+    await Player.updateOne({ playerId }, { clientSeed });
+
+    // Applies to bets placed from now on
+    socket.emit('seed:client', { clientSeed });
+    logger.info(`Client seed updated: ${playerId}`);
+  }
+
+  async handleSeedRotation(socket) {
+    if (!socket.playerId) {
+      throw new Error('Player not authenticated');
+    }
+
+    const manager = this.getGameManager(socket);
+    await this.callTable(socket, 'requestSeedRotation');
+
+    socket.emit('seed:rotation-scheduled', { tableId: manager.table.id });
+    logger.info(`Seed rotation requested by ${socket.playerId} on ${manager.table.id}`);
+  }
+
+  // Play a finished round's event log back to this socket only, at the
+  // requested speed. Starting a replay cancels the one already playing.
+  async handleReplay(socket, data) {
+    const speed = data?.speed === undefined ? 1 : parseFloat(data.speed);
+    const replay = await loadReplay(data?.roundId, speed);
+
+    this.stopReplay(socket);
+    const { events, ...summary } = replay;
+    socket.emit('replay:start', { ...summary, events: events.length });
+
+    socket.replayTimers = events.map(event =>
+      setTimeout(() => socket.emit('replay:event', { roundId: replay.roundId, ...event }), event.offset)
+    );
+    socket.replayTimers.push(setTimeout(() => {
+      socket.replayTimers = [];
+      socket.emit('replay:end', { roundId: replay.roundId });
+    }, replay.duration));
+  }
+
+  stopReplay(socket) {
+    if (!socket.replayTimers?.length) return;
+
+    socket.replayTimers.forEach(clearTimeout);
+    socket.replayTimers = [];
+    socket.emit('replay:end', { stopped: true });
+  }
+
+  // Measure each socket's round trip with server-timed probes, so cashout
+  // timing never depends on a latency the client reports itself
+  startLatencyProbes(socket) {
+    socket.pendingProbes = new Map(); // probeId -> sent at
+    socket.latencySamples = [];
+
+    const probe = () => {
+      const probeId = crypto.randomBytes(8).toString('hex');
+      socket.pendingProbes.set(probeId, Date.now());
+      socket.emit('latency:probe', { probeId });
+    };
+
+    probe();
+    socket.latencyTimer = setInterval(probe, this.latencyProbeInterval);
+  }
+
+  handleLatencyAck(socket, data) {
+    const sentAt = socket.pendingProbes.get(data?.probeId);
+    if (sentAt === undefined) return;
+
+    socket.pendingProbes.delete(data.probeId);
+    socket.latencySamples.push(Date.now() - sentAt);
+    if (socket.latencySamples.length > 5) socket.latencySamples.shift();
+
+    // Probes that were never answered are not worth keeping
+    for (const [probeId, at] of socket.pendingProbes) {
+      if (at < sentAt) socket.pendingProbes.delete(probeId);
+    }
+  }
+
+  // Median of the recent samples; undefined until the first probe returns
+  getLatency(socket) {
+    if (!socket.latencySamples?.length) return undefined;
 
-    logger.info(`Cashout handled via WebSocket: ${playerId} - ${result.multiplier}x`);
+    const sorted = [...socket.latencySamples].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
   }
 
-  handleGameStateRequest(socket) {
-    const gameState = this.gameManager.getGameState();
+  async handleGameStateRequest(socket) {
+    const gameState = await this.callTable(socket, 'getGameState');
     socket.emit('game:state', gameState);
   }
 
@@ -193,7 +492,8 @@ class WebSocketHandler {
     }
 
     socket.emit('wallet:balance', {
-      wallet: player.wallet
+      wallet: Units.formatWallet(player.wallet),
+      heldFunds: Units.formatWallet(player.heldFunds)
     });
   }
 
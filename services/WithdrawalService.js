@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const Withdrawal = require('../models/Withdrawal');
+const CryptoService = require('./CryptoService');
+const PayoutProcessor = require('./PayoutProcessor');
+const Ledger = require('./Ledger');
+const Units = require('./Units');
+const logger = require('../config/logger');
+const { envNumber } = require('../config/env');
+
+// A player's withdrawals skip admin review while together they are worth less
+// than this many USD over the window; 0 reviews all
+const AUTO_APPROVE_BELOW_USD = envNumber('WITHDRAWAL_AUTO_APPROVE_USD', 100, { min: 0 });
+const AUTO_APPROVE_WINDOW_MS = envNumber('WITHDRAWAL_AUTO_APPROVE_WINDOW', 24 * 60 * 60, { min: 1 }) * 1000;
+
+// Withdrawals that count towards the limit: all but those that moved nothing
+const COUNTED_STATUSES = ['pending', 'approved', 'processing', 'completed'];
+
+const MAX_ADDRESS_LENGTH = 128;
+
+const withdrawalError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Takes withdrawals from request to payout. Requesting one moves the amount
+// from the wallet to held funds and records a pending `withdrawal`
+// transaction; a payout takes it out of held funds, while a rejection or a
+// failed payout releases it back to the wallet. Every step claims the
+// withdrawal's status with a conditional update, so any instance can run it
+// and none runs it twice. The player's sockets get `withdrawal:updated` on
+// every change.
+class WithdrawalService {
+  constructor(io, {
+    processor = new PayoutProcessor(),
+    cryptoService = new CryptoService(),
+    autoApproveBelowUsd = AUTO_APPROVE_BELOW_USD,
+    autoApproveWindowMs = AUTO_APPROVE_WINDOW_MS
+  } = {}) {
+    this.io = io;
+    this.processor = processor;
+    this.cryptoService = cryptoService;
+    this.autoApproveBelowUsd = autoApproveBelowUsd;
+    this.autoApproveWindowMs = autoApproveWindowMs;
+    this.inFlight = new Set(); // Payouts being sent from this instance
+  }
+
+  // A withdrawal as sent to players and admins, with its amount as a decimal
+  static describe(withdrawal) {
+    return {
+      withdrawalId: withdrawal.withdrawalId,
+      playerId: withdrawal.playerId,
+      status: withdrawal.status,
+      cryptoAmount: Units.toNumber(withdrawal.cryptoAmount, withdrawal.cryptocurrency),
+      cryptocurrency: withdrawal.cryptocurrency,
+      usdAmount: withdrawal.usdAmount,
+      priceAtTime: withdrawal.priceAtTime,
+      address: withdrawal.address,
+      autoApproved: withdrawal.autoApproved,
+      reason: withdrawal.reason,
+      transactionId: withdrawal.transactionId,
+      txHash: withdrawal.txHash,
+      createdAt: withdrawal.createdAt,
+      reviewedAt: withdrawal.reviewedAt,
+      completedAt: withdrawal.completedAt
+    };
+  }
+
+  // Only a caller known to own the player (`authenticated`) can have a
+  // withdrawal approved without review
+  async request(playerId, { amount, cryptocurrency, address } = {}, { authenticated = false } = {}) {
+    const currency = typeof cryptocurrency === 'string' ? cryptocurrency.toUpperCase() : undefined;
+    if (!Units.CURRENCIES.includes(currency)) {
+      throw withdrawalError('Unsupported cryptocurrency', 400);
+    }
+    if (typeof address !== 'string' || !address.trim() || address.trim().length > MAX_ADDRESS_LENGTH) {
+      throw withdrawalError(`Address must be 1-${MAX_ADDRESS_LENGTH} characters`, 400);
+    }
+
+    let units;
+    try {
+      units = Units.parseUnits(amount, currency);
+    } catch (error) {
+      throw withdrawalError(error.message, 400);
+    }
+    if (units <= 0n) {
+      throw withdrawalError('Amount must be positive', 400);
+    }
+
+    if (!await Player.findOne({ playerId })) {
+      throw withdrawalError('Player not found', 404);
+    }
+
+    const price = await this.cryptoService.getPrice(currency);
+    const usdAmount = Units.unitsToUsd(units, price, currency);
+    const withdrawalId = this.generateWithdrawalId();
+    const transactionId = this.generateTransactionId();
+
+    const { withdrawal, autoApprove } = await mongoose.connection.transaction(async (session) => {
+      const player = await Player.findOneAndUpdate(
+        { playerId, [`wallet.${currency}`]: { $gte: units } },
+        { $inc: { [`wallet.${currency}`]: -units, [`heldFunds.${currency}`]: units } },
+        { new: true, session }
+      );
+      if (!player) throw withdrawalError('Insufficient balance', 400);
+
+      await Ledger.transfer({
+        type: 'hold',
+        cryptocurrency: currency,
+        amount: units,
+        from: Ledger.walletAccount(playerId),
+        to: Ledger.heldAccount(playerId),
+        player,
+        transactionId
+      }, session);
+
+      await Transaction.create([{
+        transactionId,
+        playerId,
+        roundId: 'withdrawal',
+        type: 'withdrawal',
+        usdAmount,
+        cryptoAmount: units,
+        cryptocurrency: currency,
+        priceAtTime: price,
+        status: 'pending',
+        balanceAfter: player.wallet
+      }], { session });
+
+      const [created] = await Withdrawal.create([{
+        withdrawalId,
+        playerId,
+        cryptoAmount: units,
+        cryptocurrency: currency,
+        usdAmount,
+        priceAtTime: price,
+        address: address.trim(),
+        transactionId
+      }], { session });
+
+      // Concurrent requests both update the player, so one of them is retried
+      // and counts the other
+      const recentUsd = authenticated ? await this.recentWithdrawalsUsd(playerId, session) : Infinity;
+      return { withdrawal: created, autoApprove: recentUsd < this.autoApproveBelowUsd };
+    });
+
+    logger.info(`Withdrawal requested: ${playerId} - ${Units.formatUnits(units, currency)} ${currency} ($${usdAmount})`);
+    this.notify(withdrawal);
+
+    if (autoApprove) {
+      return this.approve(withdrawalId, { auto: true });
+    }
+    return WithdrawalService.describe(withdrawal);
+  }
+
+  // USD value of the player's withdrawals in the auto-approval window,
+  // including one just requested
+  async recentWithdrawalsUsd(playerId, session) {
+    const since = new Date(Date.now() - this.autoApproveWindowMs);
+    const recent = await Withdrawal.find(
+      { playerId, status: { $in: COUNTED_STATUSES }, createdAt: { $gte: since } },
+      'usdAmount',
+      { session }
+    );
+    return recent.reduce((sum, withdrawal) => sum + withdrawal.usdAmount, 0);
+  }
+
+  // Approve a pending withdrawal and start its payout, which finishes in the
+  // background
+  async approve(withdrawalId, { auto = false } = {}) {
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { withdrawalId, status: 'pending' },
+      { status: 'approved', autoApproved: auto, reviewedAt: new Date() },
+      { new: true }
+    );
+    if (!withdrawal) throw await this.notPending(withdrawalId);
+
+    logger.info(`Withdrawal ${auto ? 'auto-' : ''}approved: ${withdrawalId}`);
+    this.notify(withdrawal);
+    this.startPayout(withdrawal);
+    return WithdrawalService.describe(withdrawal);
+  }
+
+  // Reject a pending withdrawal and return its funds to the wallet
+  async reject(withdrawalId, reason) {
+    const withdrawal = await mongoose.connection.transaction(async (session) => {
+      const claimed = await Withdrawal.findOneAndUpdate(
+        { withdrawalId, status: 'pending' },
+        { status: 'rejected', reason, reviewedAt: new Date() },
+        { new: true, session }
+      );
+      if (!claimed) return null;
+
+      await this.release(claimed, session);
+      return claimed;
+    });
+    if (!withdrawal) throw await this.notPending(withdrawalId);
+
+    logger.info(`Withdrawal rejected: ${withdrawalId}${reason ? ` - ${reason}` : ''}`);
+    this.notify(withdrawal);
+    return WithdrawalService.describe(withdrawal);
+  }
+
+  // Pay out withdrawals approved before the last shutdown. Ones left
+  // `processing` may or may not have reached the chain, so they are left for
+  // an operator to check.
+  async resumeApproved() {
+    const approved = await Withdrawal.find({ status: 'approved' });
+    for (const withdrawal of approved) {
+      this.startPayout(withdrawal);
+    }
+    if (approved.length > 0) {
+      logger.info(`Resuming ${approved.length} approved withdrawals`);
+    }
+  }
+
+  // Resolves once every payout this instance started has finished
+  async whenIdle() {
+    await Promise.allSettled(Array.from(this.inFlight));
+  }
+
+  startPayout(withdrawal) {
+    const payout = this.payOut(withdrawal)
+      .catch(error => logger.error(`Error paying out withdrawal ${withdrawal.withdrawalId}:`, error))
+      .finally(() => this.inFlight.delete(payout));
+    this.inFlight.add(payout);
+  }
+
+  async payOut({ withdrawalId }) {
+    // Claiming it first means only one instance ever sends it
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { withdrawalId, status: 'approved' },
+      { status: 'processing' },
+      { new: true }
+    );
+    if (!withdrawal) return;
+    this.notify(withdrawal);
+
+    let txHash;
+    try {
+      ({ txHash } = await this.processor.send({
+        withdrawalId,
+        cryptocurrency: withdrawal.cryptocurrency,
+        amount: Units.formatUnits(withdrawal.cryptoAmount, withdrawal.cryptocurrency),
+        address: withdrawal.address
+      }));
+    } catch (error) {
+      logger.warn(`Withdrawal payout failed: ${withdrawalId} - ${error.message}`);
+      return this.fail(withdrawal, error.message);
+    }
+    return this.complete(withdrawal, txHash);
+  }
+
+  // The funds have left, so a failure here leaves the withdrawal
+  // `processing` with the hash logged, for an operator to settle
+  async complete(withdrawal, txHash) {
+    const { withdrawalId, playerId, cryptocurrency, cryptoAmount } = withdrawal;
+
+    let completed;
+    try {
+      completed = await mongoose.connection.transaction(async (session) => {
+        const claimed = await Withdrawal.findOneAndUpdate(
+          { withdrawalId, status: 'processing' },
+          { status: 'completed', txHash, completedAt: new Date() },
+          { new: true, session }
+        );
+        if (!claimed) throw new Error(`Withdrawal ${withdrawalId} is no longer processing`);
+
+        const player = await Player.findOneAndUpdate(
+          { playerId, [`heldFunds.${cryptocurrency}`]: { $gte: cryptoAmount } },
+          { $inc: { [`heldFunds.${cryptocurrency}`]: -cryptoAmount } },
+          { new: true, session }
+        );
+        if (!player) throw new Error(`No held funds for withdrawal ${withdrawalId}`);
+
+        await Ledger.transfer({
+          type: 'withdrawal',
+          cryptocurrency,
+          amount: cryptoAmount,
+          from: Ledger.heldAccount(playerId),
+          to: Ledger.EXTERNAL,
+          player,
+          transactionId: withdrawal.transactionId
+        }, session);
+
+        await Transaction.updateOne(
+          { transactionId: withdrawal.transactionId },
+          { status: 'completed', transactionHash: txHash, balanceAfter: player.wallet },
+          { session }
+        );
+        return claimed;
+      });
+    } catch (error) {
+      logger.error(`Withdrawal ${withdrawalId} was paid out (${txHash}) but could not be recorded:`, error);
+      return;
+    }
+
+    logger.info(`Withdrawal completed: ${withdrawalId} - ${txHash}`);
+    this.notify(completed);
+  }
+
+  async fail(withdrawal, reason) {
+    const failed = await mongoose.connection.transaction(async (session) => {
+      const claimed = await Withdrawal.findOneAndUpdate(
+        { withdrawalId: withdrawal.withdrawalId, status: 'processing' },
+        { status: 'failed', reason },
+        { new: true, session }
+      );
+      if (!claimed) return null;
+
+      await this.release(claimed, session);
+      return claimed;
+    });
+    if (failed) this.notify(failed);
+  }
+
+  // Return a withdrawal's held funds to the wallet and fail its transaction
+  async release(withdrawal, session) {
+    const { withdrawalId, playerId, cryptocurrency, cryptoAmount } = withdrawal;
+
+    const player = await Player.findOneAndUpdate(
+      { playerId, [`heldFunds.${cryptocurrency}`]: { $gte: cryptoAmount } },
+      { $inc: { [`heldFunds.${cryptocurrency}`]: -cryptoAmount, [`wallet.${cryptocurrency}`]: cryptoAmount } },
+      { new: true, session }
+    );
+    if (!player) throw new Error(`No held funds for withdrawal ${withdrawalId}`);
+
+    await Ledger.transfer({
+      type: 'release',
+      cryptocurrency,
+      amount: cryptoAmount,
+      from: Ledger.heldAccount(playerId),
+      to: Ledger.walletAccount(playerId),
+      player,
+      transactionId: withdrawal.transactionId
+    }, session);
+
+    await Transaction.updateOne(
+      { transactionId: withdrawal.transactionId },
+      { status: 'failed', balanceAfter: player.wallet },
+      { session }
+    );
+    return player;
+  }
+
+  // Why a withdrawal could not be approved or rejected
+  async notPending(withdrawalId) {
+    const withdrawal = await Withdrawal.findOne({ withdrawalId });
+    return withdrawal
+      ? withdrawalError(`Withdrawal is already ${withdrawal.status}`, 409)
+      : withdrawalError('Withdrawal not found', 404);
+  }
+
+  notify(withdrawal) {
+    this.io.to(`player:${withdrawal.playerId}`).emit('withdrawal:updated', WithdrawalService.describe(withdrawal));
+  }
+
+  generateWithdrawalId() {
+    return `wd_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  generateTransactionId() {
+    return `tx_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+}
+
+module.exports = WithdrawalService;
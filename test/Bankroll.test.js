@@ -0,0 +1,29 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The exposure ratio is read when the module loads
+const loadBankroll = (ratio) => {
+  process.env.HOUSE_MAX_ROUND_EXPOSURE = ratio;
+  delete require.cache[require.resolve('../services/Bankroll')];
+  return require('../services/Bankroll');
+};
+
+describe('Bankroll.maxRoundPayout', () => {
+  afterEach(() => {
+    delete process.env.HOUSE_MAX_ROUND_EXPOSURE;
+  });
+
+  it('caps a round at the configured share of the bankroll', () => {
+    assert.equal(loadBankroll('0.05').maxRoundPayout(1000000n), 50000n);
+    assert.equal(loadBankroll('').maxRoundPayout(1000000n), 20000n);
+  });
+
+  it('leaves rounds uncapped when the share is 0', () => {
+    assert.equal(loadBankroll('0').maxRoundPayout(1000000n), null);
+  });
+
+  it('refuses a share outside 0 to 1', () => {
+    assert.throws(() => loadBankroll('1.5'), /HOUSE_MAX_ROUND_EXPOSURE must be between 0 and 1/);
+    assert.throws(() => loadBankroll('-0.1'), /HOUSE_MAX_ROUND_EXPOSURE must be between 0 and 1/);
+  });
+});
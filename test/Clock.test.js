@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { VirtualClock } = require('../services/Clock');
+
+describe('VirtualClock', () => {
+  it('only moves when advanced', async () => {
+    const clock = new VirtualClock(500);
+    assert.equal(clock.now(), 500);
+
+    await clock.advance(250);
+    assert.equal(clock.now(), 750);
+  });
+
+  it('fires timers at their due time, in order', async () => {
+    const clock = new VirtualClock();
+    const fired = [];
+
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 200);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+    clock.setTimeout(() => fired.push(['c', clock.now()]), 200);
+
+    await clock.advance(150);
+    assert.deepEqual(fired, [['a', 100]]);
+
+    await clock.advance(50);
+    assert.deepEqual(fired, [['a', 100], ['b', 200], ['c', 200]]);
+  });
+
+  it('repeats intervals until cleared', async () => {
+    const clock = new VirtualClock();
+    const ticks = [];
+
+    const id = clock.setInterval(() => ticks.push(clock.now()), 100);
+    await clock.advance(350);
+    assert.deepEqual(ticks, [100, 200, 300]);
+
+    clock.clearInterval(id);
+    await clock.advance(500);
+    assert.deepEqual(ticks, [100, 200, 300]);
+  });
+
+  it('does not fire cleared timeouts', async () => {
+    const clock = new VirtualClock();
+    let fired = false;
+
+    const id = clock.setTimeout(() => { fired = true; }, 100);
+    clock.clearTimeout(id);
+    await clock.advance(200);
+
+    assert.equal(fired, false);
+  });
+
+  it('fires timers scheduled by other timers within the same advance', async () => {
+    const clock = new VirtualClock();
+    const fired = [];
+
+    clock.setTimeout(() => {
+      fired.push(clock.now());
+      clock.setTimeout(() => fired.push(clock.now()), 50);
+    }, 100);
+    await clock.advance(200);
+
+    assert.deepEqual(fired, [100, 150]);
+  });
+
+  it('resolves sleeps and lets async work settle', async () => {
+    const clock = new VirtualClock();
+    const steps = [];
+
+    (async () => {
+      await clock.sleep(100);
+      steps.push('slept');
+      await Promise.resolve();
+      steps.push('continued');
+    })();
+
+    await clock.advance(100);
+    assert.deepEqual(steps, ['slept', 'continued']);
+  });
+});
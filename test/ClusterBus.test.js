@@ -0,0 +1,45 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ClusterMessage = require('../models/ClusterMessage');
+const ClusterBus = require('../services/ClusterBus');
+
+let published;
+ClusterMessage.create = async (message) => {
+  published.push(message);
+};
+
+// A Socket.IO server that records what it emits
+const fakeIo = () => {
+  const emitted = [];
+  return { emitted, to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+};
+
+describe('ClusterBus', () => {
+  beforeEach(() => {
+    published = [];
+  });
+
+  it('emits locally without publishing when clustering is disabled', async () => {
+    const io = fakeIo();
+    const bus = new ClusterBus('a', { enabled: false });
+
+    bus.relay(io).to('table:main').emit('multiplier:update', { multiplier: 1.5 });
+
+    assert.deepEqual(io.emitted, [{ room: 'table:main', event: 'multiplier:update', data: { multiplier: 1.5 } }]);
+    assert.deepEqual(published, []);
+    await assert.rejects(bus.request('b', { tableId: 'main', action: 'placeBet', args: [] }), /clustering is disabled/);
+  });
+
+  it('relays events to the other instances when clustering is enabled', async () => {
+    const io = fakeIo();
+    const bus = new ClusterBus('a', { enabled: true });
+
+    bus.relay(io, { anyInstance: true }).to('player:alice').emit('wallet:updated', { USDT: 1 });
+    await new Promise(setImmediate);
+
+    assert.equal(io.emitted.length, 1);
+    assert.deepEqual(published, [{
+      origin: 'a', kind: 'event', room: 'player:alice', event: 'wallet:updated', data: { USDT: 1 }, anyInstance: true
+    }]);
+  });
+});
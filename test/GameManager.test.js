@@ -0,0 +1,604 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Transaction = require('../models/Transaction');
+const GameRound = require('../models/GameRound');
+const { createGame, usdt } = require('./helpers/game');
+
+// Make the next transaction log write fail
+const failNextTransactionLog = () => {
+  const create = Transaction.create;
+  Transaction.create = async () => {
+    Transaction.create = create;
+    throw new Error('Write failed');
+  };
+};
+
+// Rounds in these tests crash at 2.5x on m(t) = 1 + 0.5t, i.e. exactly 3s
+// after the game phase starts. Ticks run every 100ms and cashouts stay open
+// for 250ms after the crash.
+
+describe('placeBet', () => {
+  let game;
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.startRound();
+  });
+
+  it('takes the stake from the wallet and records the bet on the round', async () => {
+    const bet = await game.manager.placeBet('alice', 10, 'USDT');
+
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+    assert.equal(game.manager.currentRound.bets.length, 1);
+    assert.equal(game.manager.currentRound.bets[0].betId, bet.betId);
+    assert.equal(bet.slot, 1);
+    assert.equal(bet.cryptoAmount, 10);
+
+    assert.deepEqual(game.transactions.map(t => t.type), ['bet']);
+    assert.deepEqual(game.bankroll.movements, [{ type: 'bet', cryptocurrency: 'USDT', amount: usdt(10) }]);
+    assert.equal(game.eventsNamed('bet:placed').length, 1);
+  });
+
+  it('stores the bet on the round document in the same transaction', async () => {
+    const bet = await game.manager.placeBet('alice', 10, 'USDT');
+
+    const [stored] = game.rounds;
+    assert.deepEqual(stored.bets.map(b => b.betId), [bet.betId]);
+    assert.equal(game.transactions[0].balanceAfter.USDT, usdt(90));
+  });
+
+  it('leaves no trace of a bet whose transaction fails', async () => {
+    failNextTransactionLog();
+
+    await assert.rejects(game.manager.placeBet('alice', 10, 'USDT'), /Write failed/);
+
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(100));
+    assert.equal(game.manager.currentRound.bets.length, 0);
+    assert.equal(game.rounds[0].bets.length, 0);
+    assert.deepEqual(game.transactions, []);
+    assert.deepEqual(game.bankroll.movements, []);
+
+    // The slot is free again
+    await game.manager.placeBet('alice', 10, 'USDT');
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+  });
+
+  it('rejects amounts outside the table limits', async () => {
+    await assert.rejects(game.manager.placeBet('alice', 0.5, 'USDT'), /between \$1 and \$100/);
+    await assert.rejects(game.manager.placeBet('alice', 150, 'USDT'), /between \$1 and \$100/);
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(100));
+  });
+
+  it('rejects a stake larger than the balance', async () => {
+    await game.addPlayer('bob', 5);
+    await assert.rejects(game.manager.placeBet('bob', 10, 'USDT'), /Insufficient balance/);
+    assert.equal(game.players.get('bob').wallet.USDT, usdt(5));
+  });
+
+  it('allows one bet per slot', async () => {
+    await game.manager.placeBet('alice', 10, 'USDT', { slot: 1 });
+    await assert.rejects(game.manager.placeBet('alice', 10, 'USDT', { slot: 1 }), /slot 1 already used/);
+
+    await game.manager.placeBet('alice', 20, 'USDT', { slot: 2 });
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(70));
+    assert.deepEqual(game.manager.currentRound.bets.map(b => b.slot), [1, 2]);
+  });
+
+  it('rejects an auto cashout target at or below 1x', async () => {
+    await assert.rejects(game.manager.placeBet('alice', 10, 'USDT', { autoCashoutAt: 1 }), /greater than 1x/);
+  });
+
+  it('queues bets once betting has closed, holding the stake', async () => {
+    await game.startGamePhase();
+
+    const queued = await game.manager.placeBet('alice', 10, 'USDT');
+
+    assert.equal(queued.queued, true);
+    assert.equal(game.manager.currentRound.bets.length, 0);
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+    assert.equal(game.players.get('alice').heldFunds.USDT, usdt(10));
+  });
+
+  it('places queued bets when the next round opens', async () => {
+    await game.startGamePhase();
+    await game.manager.placeBet('alice', 10, 'USDT', { slot: 2 });
+
+    // Crash at 3s, 250ms for late cashouts, then 3s until the next round
+    await game.clock.advance(3000 + 250 + 3000);
+
+    const round = game.manager.currentRound;
+    assert.equal(round.status, 'waiting');
+    assert.deepEqual(round.bets.map(b => [b.playerId, b.slot, b.cryptoAmount]), [['alice', 2, usdt(10)]]);
+    assert.equal(game.players.get('alice').heldFunds.USDT, usdt(0));
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+  });
+});
+
+describe('cashOut', () => {
+  let game;
+  let bet;
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.startRound();
+    bet = await game.manager.placeBet('alice', 10, 'USDT');
+    await game.startGamePhase();
+  });
+
+  it('pays at the multiplier for the exact elapsed time', async () => {
+    await game.clock.advance(1000);
+
+    const result = await game.manager.cashOut('alice', bet.betId);
+
+    assert.equal(result.multiplier, 1.5);
+    assert.equal(result.payout.cryptoAmount, 15);
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(105));
+
+    const roundBet = game.manager.currentRound.bets[0];
+    assert.equal(roundBet.cashedOut, true);
+    assert.equal(roundBet.cashoutAttempts[0].accepted, true);
+    assert.deepEqual(game.transactions.map(t => t.type), ['bet', 'cashout']);
+    assert.deepEqual(game.bankroll.movements.map(m => [m.type, m.amount]), [['bet', usdt(10)], ['payout', usdt(15)]]);
+
+    const [event] = game.eventsNamed('player:cashedout');
+    assert.equal(event.multiplier, 1.5);
+    assert.equal(event.auto, false);
+  });
+
+  it('keeps the bet riding when its settlement cannot be committed', async () => {
+    await game.clock.advance(1000);
+    failNextTransactionLog();
+
+    await assert.rejects(game.manager.cashOut('alice', bet.betId), /Write failed/);
+
+    const roundBet = game.manager.currentRound.bets[0];
+    assert.equal(roundBet.cashedOut, false);
+    assert.equal(roundBet.settlements.length, 0);
+    assert.equal(roundBet.cashoutAttempts[0].reason, 'settlement failed');
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+    assert.equal(game.rounds[0].bets[0].cashedOut, false);
+    assert.deepEqual(game.transactions.map(t => t.type), ['bet']);
+
+    await game.clock.advance(1000);
+    const result = await game.manager.cashOut('alice', bet.betId);
+    assert.equal(result.payout.cryptoAmount, 20);
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(110));
+    assert.equal(game.rounds[0].bets[0].payout.cryptoAmount, usdt(20));
+  });
+
+  it('never pays a bet the database already shows as settled', async () => {
+    game.rounds[0].bets[0].cashedOut = true;
+    await game.clock.advance(1000);
+
+    await assert.rejects(game.manager.cashOut('alice', bet.betId), /no longer open/);
+
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+    assert.equal(game.manager.currentRound.bets[0].cashedOut, false);
+  });
+
+  it('uses the time between ticks, not the last tick', async () => {
+    await game.clock.advance(1050);
+
+    const result = await game.manager.cashOut('alice', bet.betId);
+    assert.equal(result.multiplier, 1 + 0.5 * 1.05);
+  });
+
+  it('settles part of a bet and leaves the rest riding', async () => {
+    await game.clock.advance(1000);
+    const first = await game.manager.cashOut('alice', bet.betId, 50);
+
+    assert.equal(first.partial, true);
+    assert.equal(first.payout.cryptoAmount, 7.5);
+    assert.equal(first.remaining, 5);
+
+    await game.clock.advance(1000);
+    const second = await game.manager.cashOut('alice', bet.betId);
+
+    assert.equal(second.multiplier, 2);
+    assert.equal(second.payout.cryptoAmount, 10);
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(107.5));
+    assert.deepEqual(game.manager.currentRound.bets[0].settlements.map(s => s.percentage), [50, 100]);
+
+    const [stored] = game.rounds[0].bets;
+    assert.deepEqual(stored.settlements.map(s => s.percentage), [50, 100]);
+    assert.equal(stored.payout.cryptoAmount, usdt(17.5));
+    assert.equal(stored.cashedOut, true);
+  });
+
+  it('auto cashes out at exactly the target', async () => {
+    const game2 = createGame();
+    await game2.addPlayer('bob', 100);
+    await game2.startRound();
+    await game2.manager.placeBet('bob', 10, 'USDT', { autoCashoutAt: 1.72 });
+    await game2.startGamePhase();
+
+    // The 1.72x target falls between the 1400ms (1.7x) and 1500ms (1.75x) ticks
+    await game2.clock.advance(1400);
+    assert.equal(game2.manager.currentRound.bets[0].cashedOut, false);
+
+    await game2.clock.advance(100);
+    const roundBet = game2.manager.currentRound.bets[0];
+    assert.equal(roundBet.cashedOut, true);
+    assert.equal(roundBet.cashoutMultiplier, 1.72);
+    assert.equal(roundBet.settlements[0].auto, true);
+    assert.equal(game2.players.get('bob').wallet.USDT, usdt(107.2));
+  });
+
+  it('rejects a request pressed after the crash instant and records it', async () => {
+    await game.clock.advance(3000);
+    assert.equal(game.eventsNamed('round:crashed').length, 1);
+
+    await assert.rejects(game.manager.cashOut('alice', bet.betId), /Too late: round crashed at 2.50x/);
+
+    const [attempt] = game.manager.currentRound.bets[0].cashoutAttempts;
+    assert.equal(attempt.accepted, false);
+    assert.equal(attempt.reason, 'after crash');
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+  });
+
+  it('honours a press just before the crash that arrives after it', async () => {
+    await game.clock.advance(3050);
+    const start = game.manager.gameStartTime;
+
+    // 200ms round trip allows 100ms + 50ms tolerance of compensation
+    const result = await game.manager.cashOut('alice', bet.betId, 100, { clientTime: start + 2900, latency: 200 });
+
+    assert.equal(result.multiplier, 1 + 0.5 * 2.9);
+    const [attempt] = game.manager.currentRound.bets[0].cashoutAttempts;
+    assert.equal(attempt.allowance, 150);
+    assert.equal(attempt.adjustedTime.getTime(), start + 2900);
+  });
+
+  it('clamps a press time older than the latency allows', async () => {
+    await game.clock.advance(2000);
+    const start = game.manager.gameStartTime;
+
+    const result = await game.manager.cashOut('alice', bet.betId, 100, { clientTime: start + 500, latency: 100 });
+
+    // Allowance is 50ms + 50ms, so the press counts at 1900ms
+    assert.equal(result.multiplier, 1 + 0.5 * 1.9);
+  });
+
+  it('rejects a cashout without an open bet', async () => {
+    await game.clock.advance(1000);
+    await game.manager.cashOut('alice', bet.betId);
+
+    await assert.rejects(game.manager.cashOut('alice', bet.betId), /No active bet/);
+  });
+
+  it('rejects a cashout while betting is open', async () => {
+    const game2 = createGame();
+    await game2.addPlayer('bob', 100);
+    await game2.startRound();
+    const openBet = await game2.manager.placeBet('bob', 10, 'USDT');
+
+    await assert.rejects(game2.manager.cashOut('bob', openBet.betId), /Cannot cash out/);
+  });
+});
+
+describe('endRound', () => {
+  let game;
+  let bet;
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.startRound();
+    bet = await game.manager.placeBet('alice', 10, 'USDT');
+    await game.startGamePhase();
+  });
+
+  // Crash, then the late cashout window
+  const finishRound = () => game.clock.advance(3000 + 250);
+
+  it('crashes at the crash point and counts open bets as lost', async () => {
+    await finishRound();
+
+    const round = game.manager.currentRound;
+    assert.equal(round.status, 'crashed');
+    assert.equal(round.maxMultiplier, 2.5);
+
+    const [crashed] = game.eventsNamed('round:crashed');
+    assert.equal(crashed.crashPoint, 2.5);
+
+    const alice = game.players.get('alice');
+    assert.equal(alice.wallet.USDT, usdt(90));
+    assert.equal(alice.totalGamesPlayed, 1);
+    assert.equal(alice.totalLost, 10);
+    assert.equal(alice.totalWon, 0);
+  });
+
+  it('records the net result of a partly cashed bet', async () => {
+    await game.clock.advance(1000);
+    await game.manager.cashOut('alice', bet.betId, 50);
+    await game.clock.advance(2000 + 250);
+
+    const alice = game.players.get('alice');
+    assert.equal(alice.wallet.USDT, usdt(97.5));
+    assert.equal(alice.totalGamesPlayed, 1);
+    assert.equal(alice.totalLost, 2.5);
+  });
+
+  it('does not count a cashed out bet twice', async () => {
+    await game.clock.advance(1000);
+    await game.manager.cashOut('alice', bet.betId);
+    await game.clock.advance(2000 + 250);
+
+    const alice = game.players.get('alice');
+    assert.equal(alice.totalGamesPlayed, 1);
+    assert.equal(alice.totalWon, 5);
+    assert.equal(alice.totalLost, 0);
+  });
+
+  it('starts the next round after the intermission', async () => {
+    await finishRound();
+    const crashedRound = game.manager.currentRound.roundId;
+
+    await game.clock.advance(2999);
+    assert.equal(game.manager.currentRound.roundId, crashedRound);
+
+    await game.clock.advance(1);
+    assert.notEqual(game.manager.currentRound.roundId, crashedRound);
+    assert.equal(game.manager.currentRound.status, 'waiting');
+    assert.equal(game.eventsNamed('round:new').length, 2);
+  });
+
+  it('does nothing for a round that already ended', async () => {
+    await finishRound();
+    await game.manager.endRound();
+
+    assert.equal(game.players.get('alice').totalGamesPlayed, 1);
+  });
+});
+
+describe('voidCurrentRound', () => {
+  let game;
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.startRound();
+  });
+
+  it('refunds open stakes and marks the stored round voided', async () => {
+    await game.manager.placeBet('alice', 10, 'USDT');
+
+    await game.manager.voidCurrentRound('Maintenance');
+
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(100));
+    const [stored] = game.rounds;
+    assert.equal(stored.status, 'voided');
+    assert.equal(stored.bets[0].refunded, true);
+    assert.deepEqual(game.transactions.map(t => t.type), ['bet', 'refund']);
+    assert.deepEqual(game.bankroll.movements.map(m => m.type), ['bet', 'refund']);
+  });
+
+  it('leaves the round open for recovery when a refund fails', async () => {
+    await game.manager.placeBet('alice', 10, 'USDT');
+    failNextTransactionLog();
+
+    await assert.rejects(game.manager.voidCurrentRound('Maintenance'), /1 bets of round/);
+
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(90));
+    assert.equal(game.rounds[0].status, 'waiting');
+    assert.equal(game.rounds[0].bets[0].refunded, false);
+
+    // The table still moves on to the next round
+    await game.clock.advance(3000);
+    assert.equal(game.rounds.length, 2);
+  });
+});
+
+describe('crash recovery', () => {
+  it('settles open bets at the multiplier saved while the round ran', async () => {
+    const game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.startRound();
+    await game.manager.placeBet('alice', 10, 'USDT');
+    await game.startGamePhase();
+
+    // The server dies 2s into the round, at 2x, with no cashouts made
+    await game.clock.advance(2000);
+    game.manager.stop();
+    assert.equal(game.rounds[0].maxMultiplier, 2);
+
+    GameRound.find = async () => game.rounds.map(round => GameRound.hydrate(structuredClone(round)));
+    process.env.ROUND_RECOVERY_POLICY = 'settle';
+    try {
+      await game.manager.recoverOrphanedRounds();
+    } finally {
+      delete process.env.ROUND_RECOVERY_POLICY;
+    }
+
+    assert.equal(game.rounds[0].status, 'voided');
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(110));
+    assert.deepEqual(game.transactions.map(t => t.type), ['bet', 'cashout']);
+  });
+});
+
+describe('ledger', () => {
+  let game;
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.startRound();
+  });
+
+  const postingsOf = (type) => game.ledgerEntries.filter(e => e.type === type);
+
+  // Every player account matches the player's stored balances exactly, and
+  // the ledger as a whole sums to zero
+  const assertReconciled = (playerId) => {
+    const player = game.players.get(playerId);
+    assert.equal(game.ledgerBalance(`player:${playerId}`), player.wallet.USDT);
+    assert.equal(game.ledgerBalance(`player:${playerId}:held`), player.heldFunds.USDT);
+    assert.equal(game.ledgerEntries.reduce((sum, e) => sum + e.amount, 0n), 0n);
+  };
+
+  it('posts a bet from the wallet to the house with the running balance', async () => {
+    const bet = await game.manager.placeBet('alice', 10, 'USDT');
+
+    const [from, to] = postingsOf('bet');
+    assert.equal(from.postingId, to.postingId);
+    assert.deepEqual([from.account, from.amount, from.balanceAfter], ['player:alice', -usdt(10), usdt(90)]);
+    assert.deepEqual([to.account, to.amount, to.playerId], ['house', usdt(10), undefined]);
+    assert.equal(from.transactionId, game.transactions[0].transactionId);
+    assert.equal(from.betId, bet.betId);
+  });
+
+  it('stays in step with the wallet through queued bets, cashouts and losses', async () => {
+    const bet = await game.manager.placeBet('alice', 10, 'USDT');
+    await game.startGamePhase();
+    await game.manager.placeBet('alice', 20, 'USDT', { slot: 2 });
+    assertReconciled('alice');
+
+    await game.clock.advance(1000);
+    await game.manager.cashOut('alice', bet.betId, 50);
+    await game.clock.advance(2000 + 250 + 3000);
+
+    // The queued bet moved from held funds into the new round
+    assert.equal(game.manager.currentRound.bets.length, 1);
+    assert.deepEqual(postingsOf('hold').map(e => e.amount), [-usdt(20), usdt(20)]);
+    assert.deepEqual(postingsOf('bet').filter(e => e.account === 'house').map(e => e.amount), [usdt(10), usdt(20)]);
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(77.5));
+    assertReconciled('alice');
+
+    await game.manager.voidCurrentRound('Maintenance');
+    assert.equal(game.players.get('alice').wallet.USDT, usdt(97.5));
+    assertReconciled('alice');
+  });
+
+  it('posts nothing for a bet that rolls back', async () => {
+    const before = game.ledgerEntries.length;
+    failNextTransactionLog();
+
+    await assert.rejects(game.manager.placeBet('alice', 10, 'USDT'), /Write failed/);
+    assert.equal(game.ledgerEntries.length, before);
+  });
+});
+
+describe('round event log', () => {
+  let game;
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.addPlayer('bob', 100);
+    await game.startRound();
+  });
+
+  const eventsOf = (roundId) => game.roundEvents.filter(e => e.roundId === roundId);
+
+  it('records the round in order, with cashouts and the crash at their curve time', async () => {
+    const aliceBet = await game.manager.placeBet('alice', 10, 'USDT');
+    await game.manager.placeBet('bob', 10, 'USDT', { autoCashoutAt: 2 });
+    await game.startGamePhase();
+    const start = game.manager.gameStartTime;
+    const roundId = game.manager.currentRound.roundId;
+
+    await game.clock.advance(1050);
+    await game.manager.cashOut('alice', aliceBet.betId);
+    await game.clock.advance(1950 + 250);
+
+    const log = eventsOf(roundId);
+    assert.deepEqual(log.map(e => e.type), ['betting-opened', 'bet', 'bet', 'game-started', 'cashout', 'cashout', 'crash']);
+    assert.deepEqual(log.map(e => e.seq), [1, 2, 3, 4, 5, 6, 7]);
+
+    const [manual, auto] = log.filter(e => e.type === 'cashout');
+    assert.equal(manual.at.getTime(), start + 1050);
+    assert.equal(manual.data.multiplier, 1 + 0.5 * 1.05);
+    assert.equal(auto.at.getTime(), start + 2000);
+    assert.equal(auto.data.auto, true);
+
+    const crash = log[log.length - 1];
+    assert.equal(crash.at.getTime(), start + 3000);
+    assert.equal(crash.data.crashPoint, 2.5);
+  });
+
+  it('records rejected cashouts and voided rounds', async () => {
+    const bet = await game.manager.placeBet('alice', 10, 'USDT');
+    await game.startGamePhase();
+    await game.clock.advance(3000);
+    await assert.rejects(game.manager.cashOut('alice', bet.betId));
+
+    const [rejected] = eventsOf(game.manager.currentRound.roundId).filter(e => e.type === 'cashout-rejected');
+    assert.equal(rejected.data.reason, 'after crash');
+
+    await game.clock.advance(250 + 3000);
+    await game.manager.voidCurrentRound('Maintenance');
+
+    const voided = eventsOf(game.manager.currentRound.roundId).pop();
+    assert.equal(voided.type, 'voided');
+    assert.equal(voided.data.reason, 'Maintenance');
+  });
+});
+
+describe('updateConfig', () => {
+  let game;
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.addPlayer('alice', 100);
+    await game.startRound();
+  });
+
+  it('saves changes and applies them when the next round starts', async () => {
+    const config = await game.manager.updateConfig({ bettingWindow: 5000, intermission: 1000, maxBet: 50 });
+
+    assert.deepEqual(config.pending, { bettingWindow: 5000, intermission: 1000, maxBet: 50 });
+    assert.deepEqual(game.gameConfigs.get('test'), { tableId: 'test', bettingWindow: 5000, intermission: 1000, maxBet: 50 });
+
+    // The running round keeps its settings
+    await game.manager.placeBet('alice', 80, 'USDT');
+    assert.equal(game.manager.table.bettingWindow, 3000);
+
+    // 3s betting, crash at 3s, 250ms for late cashouts, 3s intermission
+    await game.clock.advance(3000 + 3000 + 250 + 3000);
+    assert.equal(game.manager.table.bettingWindow, 5000);
+    assert.equal(game.manager.getConfig().pending, null);
+
+    const [updated] = game.eventsNamed('config:updated');
+    assert.deepEqual(updated.changed, ['bettingWindow', 'intermission', 'maxBet']);
+    await assert.rejects(game.manager.placeBet('alice', 80, 'USDT'), /between \$1 and \$50/);
+
+    // The new betting window, crash and late cashouts, then the new intermission
+    const roundId = game.manager.currentRound.roundId;
+    await game.clock.advance(5000 + 3000 + 250 + 1000);
+    assert.notEqual(game.manager.currentRound.roundId, roundId);
+  });
+
+  it('rebuilds the crash distribution when the house edge changes', async () => {
+    await game.manager.updateConfig({ houseEdge: 0.02 });
+    assert.equal(game.manager.crashDistribution.houseEdge, 0.01);
+
+    await game.clock.advance(3000 + 3000 + 250 + 3000);
+    assert.deepEqual([game.manager.crashDistribution.houseEdge, game.manager.crashDistribution.maxCrash], [0.02, 20]);
+  });
+
+  it('rejects settings out of range without saving them', async () => {
+    await assert.rejects(game.manager.updateConfig({ tickInterval: 5 }), /tickInterval must be a whole number between 20 and 1000/);
+    await assert.rejects(game.manager.updateConfig({ minBet: 200 }), /minBet must be below maxBet/);
+    await assert.rejects(game.manager.updateConfig({ houseEdge: 1 }), /houseEdge must be between 0 and 0.99/);
+    await assert.rejects(game.manager.updateConfig({ minCrash: 2 }), /Unknown setting: minCrash/);
+
+    assert.equal(game.gameConfigs.size, 0);
+    assert.equal(game.manager.getConfig().pending, null);
+  });
+});
+
+describe('requestSeedRotation', () => {
+  it('refuses rotations until the active chain has served its cooldown', async () => {
+    const game = createGame();
+    game.manager.rotationCooldown = 60000;
+
+    assert.throws(() => game.manager.requestSeedRotation(), { statusCode: 429, message: /again in 1 min/ });
+    assert.equal(game.manager.rotationRequested, false);
+
+    await game.clock.advance(60000);
+    game.manager.requestSeedRotation();
+    assert.equal(game.manager.rotationRequested, true);
+  });
+});
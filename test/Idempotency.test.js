@@ -0,0 +1,218 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Idempotency = require('../services/Idempotency');
+const idempotency = require('../middleware/idempotency');
+const WebSocketHandler = require('../services/WebSocketHandler');
+const logger = require('../config/logger');
+
+logger.silent = true;
+
+// In-memory keys with the unique index on scope, player and key
+let keys;
+const find = ({ scope, playerId, key }) => keys.find(k => k.scope === scope && k.playerId === playerId && k.key === key);
+IdempotencyKey.create = async (doc) => {
+  if (find(doc)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  keys.push({ ...doc, status: 'pending' });
+};
+IdempotencyKey.findOne = async (query) => find(query) || null;
+IdempotencyKey.updateOne = async (query, { $set }) => {
+  Object.assign(find(query), structuredClone($set));
+};
+IdempotencyKey.deleteOne = async (query) => {
+  const existing = find(query);
+  if (existing && existing.status === query.status) keys.splice(keys.indexOf(existing), 1);
+};
+
+const options = (request = { amount: 1 }) => ({ key: 'k1', scope: 'test', playerId: 'alice', request });
+
+describe('Idempotency', () => {
+  beforeEach(() => {
+    keys = [];
+  });
+
+  it('runs an operation once and replays its response', async () => {
+    let runs = 0;
+    const operation = async () => ({ run: ++runs });
+
+    assert.deepEqual(await Idempotency.run(options(), operation), { response: { run: 1 }, replayed: false });
+    assert.deepEqual(await Idempotency.run(options(), operation), { response: { run: 1 }, replayed: true });
+    assert.equal(runs, 1);
+  });
+
+  it('releases the key of a failed operation so a retry runs it', async () => {
+    let runs = 0;
+    const operation = async () => {
+      if (++runs === 1) throw new Error('Price feed unavailable');
+      return { run: runs };
+    };
+
+    await assert.rejects(Idempotency.run(options(), operation), /Price feed unavailable/);
+    assert.deepEqual(await Idempotency.run(options(), operation), { response: { run: 2 }, replayed: false });
+    assert.equal(runs, 2);
+  });
+
+  it('keeps the key of an operation that may have gone through', async () => {
+    let runs = 0;
+    const operation = async () => {
+      runs++;
+      throw Object.assign(new Error('Game server did not respond, please try again'), { outcomeUnknown: true });
+    };
+
+    await assert.rejects(Idempotency.run(options(), operation), { outcomeUnknown: true });
+    await assert.rejects(Idempotency.run(options(), operation), { statusCode: 409 });
+    assert.equal(runs, 1);
+  });
+
+  it('refuses a key reused for another request or still in progress', async () => {
+    await Idempotency.claim(options({ amount: 1, cryptocurrency: 'BTC' }));
+
+    // The same request with its fields in another order is still in progress
+    await assert.rejects(Idempotency.claim(options({ cryptocurrency: 'BTC', amount: 1 })), { statusCode: 409 });
+    await assert.rejects(Idempotency.claim(options({ amount: 2, cryptocurrency: 'BTC' })), { statusCode: 422 });
+    await assert.rejects(Idempotency.claim({ ...options(), key: '' }), { statusCode: 400 });
+  });
+
+  it('keys are separate per player', async () => {
+    await Idempotency.run(options(), async () => 'alice');
+    const { response, replayed } = await Idempotency.run({ ...options(), playerId: 'bob' }, async () => 'bob');
+
+    assert.deepEqual([response, replayed], ['bob', false]);
+  });
+});
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    keys = [];
+  });
+
+  const request = (key, body) => ({
+    method: 'POST',
+    baseUrl: '/api/wallet',
+    path: '/deposit',
+    body,
+    get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+  });
+
+  // Closes once a response is sent, like a Node response emits `close`
+  const response = () => {
+    const res = new EventEmitter();
+    Object.assign(res, { statusCode: 200, headers: {}, locals: {} });
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.sent = new Promise(resolve => {
+      const send = (body) => { res.body = body; resolve(); res.emit('close'); return res; };
+      res.json = send;
+      res.send = send;
+    });
+    return res;
+  };
+
+  // Run the middleware in front of a route handler, resolving once a response
+  // is sent and any key release is done
+  const handle = async (req, route) => {
+    const res = response();
+    await idempotency(req, res, () => route(req, res));
+    await res.sent;
+    await new Promise(setImmediate);
+    return res;
+  };
+
+  it('sends the stored response to a retried request without running the route', async () => {
+    let deposits = 0;
+    const route = (req, res) => res.status(201).json({ deposit: ++deposits });
+    const body = { playerId: 'alice', amount: 1, cryptocurrency: 'BTC' };
+
+    const first = await handle(request('abc', body), route);
+    const retry = await handle(request('abc', { ...body }), route);
+
+    assert.deepEqual([first.statusCode, first.body, first.headers], [201, { deposit: 1 }, {}]);
+    assert.deepEqual([retry.statusCode, retry.body, retry.headers], [201, { deposit: 1 }, { 'Idempotent-Replayed': 'true' }]);
+    assert.equal(deposits, 1);
+  });
+
+  it('replays client errors but lets a request that hit a server error run again', async () => {
+    let deposits = 0;
+    const body = { playerId: 'alice', amount: 1, cryptocurrency: 'BTC' };
+    const failing = (req, res) => res.status(500).json({ error: 'Internal server error' });
+    const route = (req, res) => res.status(400).json({ deposit: ++deposits });
+
+    await handle(request('abc', body), failing);
+    const retry = await handle(request('abc', body), route);
+    const replay = await handle(request('abc', body), route);
+
+    assert.deepEqual([retry.statusCode, retry.body, retry.headers], [400, { deposit: 1 }, {}]);
+    assert.deepEqual([replay.statusCode, replay.body, replay.headers], [400, { deposit: 1 }, { 'Idempotent-Replayed': 'true' }]);
+  });
+
+  it('keeps the key of a server error whose outcome is unknown', async () => {
+    const body = { playerId: 'alice', amount: 1, cryptocurrency: 'BTC' };
+    const timedOut = (req, res) => {
+      res.locals.outcomeUnknown = true;
+      res.status(500).json({ error: 'Internal server error' });
+    };
+
+    await handle(request('abc', body), timedOut);
+    const retry = await handle(request('abc', body), (req, res) => res.json({ ok: true }));
+
+    assert.equal(retry.statusCode, 409);
+  });
+
+  it('frees the key when the route answers without res.json', async () => {
+    const body = { playerId: 'alice', amount: 1, cryptocurrency: 'BTC' };
+
+    await handle(request('abc', body), (req, res) => res.send('Bad gateway'));
+    const retry = await handle(request('abc', body), (req, res) => res.json({ ok: true }));
+
+    assert.deepEqual([retry.statusCode, retry.body], [200, { ok: true }]);
+  });
+
+  it('runs requests without a key every time', async () => {
+    let deposits = 0;
+    const route = (req, res) => res.json({ deposit: ++deposits });
+
+    await handle(request(undefined, { playerId: 'alice' }), route);
+    const second = await handle(request(undefined, { playerId: 'alice' }), route);
+    assert.deepEqual(second.body, { deposit: 2 });
+  });
+});
+
+describe('socket request IDs', () => {
+  beforeEach(() => {
+    keys = [];
+  });
+
+  it('places a re-emitted bet once and replays its confirmation', async () => {
+    const calls = [];
+    const registry = {
+      get: () => ({ table: { id: 'main' } }),
+      call: async (tableId, action, ...args) => {
+        calls.push(action);
+        return { roundId: 'r1', betId: 'b1', slot: 1, usdAmount: args[1], cryptoAmount: 10, cryptocurrency: args[2] };
+      }
+    };
+    const handler = new WebSocketHandler({ on: () => {} }, registry);
+
+    const emitted = [];
+    const socket = { playerId: 'alice', tableId: 'main', emit: (event, data) => emitted.push({ event, data }) };
+    const bet = { requestId: 'req-1', usdAmount: 10, cryptocurrency: 'USDT' };
+
+    await handler.handleBet(socket, bet);
+    await handler.handleBet(socket, { ...bet });
+
+    assert.deepEqual(calls, ['placeBet']);
+    assert.deepEqual(emitted.map(e => [e.event, e.data.betId, e.data.requestId, e.data.replayed]), [
+      ['bet:confirmed', 'b1', 'req-1', undefined],
+      ['bet:confirmed', 'b1', 'req-1', true]
+    ]);
+  });
+
+  it('refuses commands from a socket that has not joined a table', async () => {
+    const registry = { get: () => ({ table: { id: 'main' } }), call: async () => assert.fail('command ran') };
+    const handler = new WebSocketHandler({ on: () => {} }, registry);
+    const socket = { playerId: 'alice', emit: () => {} };
+
+    await assert.rejects(handler.handleBet(socket, { usdAmount: 10, cryptocurrency: 'USDT' }), /Join a table first/);
+  });
+});
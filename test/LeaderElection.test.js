@@ -0,0 +1,116 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LeaderLease = require('../models/LeaderLease');
+const logger = require('../config/logger');
+const LeaderElection = require('../services/LeaderElection');
+const { VirtualClock } = require('../services/Clock');
+
+logger.silent = true;
+
+// In-memory lease collection with the unique name index the model declares
+const installFakeLeases = () => {
+  const leases = new Map();
+
+  LeaderLease.findOne = async ({ name }) => leases.get(name) || null;
+  LeaderLease.findOneAndUpdate = async ({ name, $or: [{ holder }, { expiresAt }] }, update) => {
+    const lease = leases.get(name);
+    if (lease && lease.holder !== holder && lease.expiresAt > expiresAt.$lte) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    leases.set(name, { name, ...update });
+    return leases.get(name);
+  };
+  LeaderLease.updateOne = async ({ name, holder }, update) => {
+    const lease = leases.get(name);
+    if (lease && lease.holder === holder) Object.assign(lease, update);
+  };
+
+  return leases;
+};
+
+describe('LeaderElection', () => {
+  let clock;
+  let leases;
+
+  // Lease of 4s, checked every 1s
+  const createInstance = (id) => {
+    const election = new LeaderElection(id, { clock });
+    election.changes = [];
+    election.on('elected', () => election.changes.push('elected'));
+    election.on('demoted', () => election.changes.push('demoted'));
+    return election;
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock(1000000);
+    leases = installFakeLeases();
+  });
+
+  it('elects exactly one instance', async () => {
+    const a = createInstance('a');
+    const b = createInstance('b');
+    await a.start();
+    await b.start();
+    await clock.advance(10000);
+
+    assert.equal(a.isLeader, true);
+    assert.equal(b.isLeader, false);
+    assert.equal(b.leaderId, 'a');
+    assert.deepEqual(a.changes, ['elected']);
+    assert.deepEqual(b.changes, []);
+  });
+
+  it('fails over once the leader stops renewing', async () => {
+    const a = createInstance('a');
+    const b = createInstance('b');
+    await a.start();
+    await b.start();
+
+    // The leader dies without releasing the lease
+    clock.clearInterval(a.timer);
+    await clock.advance(3000);
+    assert.equal(b.isLeader, false);
+
+    // The lease runs out 4s after the last renewal
+    await clock.advance(1000);
+    assert.equal(b.isLeader, true);
+    assert.equal(leases.get('game-loop').holder, 'b');
+  });
+
+  it('hands over at once when the leader releases the lease', async () => {
+    const a = createInstance('a');
+    const b = createInstance('b');
+    await a.start();
+    await b.start();
+
+    await a.stop();
+    assert.deepEqual(a.changes, ['elected', 'demoted']);
+
+    await clock.advance(1000);
+    assert.equal(b.isLeader, true);
+  });
+
+  it('steps down when the lease was taken over', async () => {
+    const a = createInstance('a');
+    await a.start();
+
+    leases.set('game-loop', { name: 'game-loop', holder: 'b', expiresAt: new Date(clock.now() + 4000) });
+    await clock.advance(1000);
+
+    assert.equal(a.isLeader, false);
+    assert.equal(a.leaderId, 'b');
+    assert.deepEqual(a.changes, ['elected', 'demoted']);
+  });
+
+  it('steps down when it cannot reach the database past its lease', async () => {
+    const a = createInstance('a');
+    await a.start();
+
+    LeaderLease.findOneAndUpdate = async () => { throw new Error('connection lost'); };
+    await clock.advance(3000);
+    assert.equal(a.isLeader, true);
+
+    await clock.advance(1000);
+    assert.equal(a.isLeader, false);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Ledger = require('../services/Ledger');
+const { parseUnits } = require('../services/Units');
+
+// In-memory entries; aggregate understands only the grouping Ledger uses and,
+// like MongoDB, sums the amounts to Decimal128
+let entries;
+LedgerEntry.insertMany = async (docs) => {
+  entries.push(...docs);
+  return docs;
+};
+LedgerEntry.aggregate = async ([first, second]) => {
+  const [match, group] = second ? [first.$match, second.$group] : [{}, first.$group];
+  const totals = new Map();
+  for (const entry of entries.filter(e => Object.entries(match).every(([k, v]) => e[k] === v))) {
+    const key = typeof group._id === 'string'
+      ? entry.cryptocurrency
+      : JSON.stringify({ account: entry.account, cryptocurrency: entry.cryptocurrency });
+    totals.set(key, (totals.get(key) ?? 0n) + entry.amount);
+  }
+  return [...totals].map(([key, sum]) => {
+    const total = mongoose.Types.Decimal128.fromString(sum.toString());
+    return typeof group._id === 'string'
+      ? { _id: key, total }
+      : { _id: JSON.parse(key), balance: total };
+  });
+};
+
+const eth = (amount) => parseUnits(amount, 'ETH');
+const usdt = (amount) => parseUnits(amount, 'USDT');
+
+const player = (wallet, heldFunds = {}) => ({
+  playerId: 'alice',
+  wallet: { BTC: 0n, ETH: 0n, USDT: 0n, ...wallet },
+  heldFunds: { BTC: 0n, ETH: 0n, USDT: 0n, ...heldFunds }
+});
+
+describe('Ledger', () => {
+  beforeEach(() => {
+    entries = [];
+  });
+
+  it('posts a transfer as two opposite entries', async () => {
+    const postingId = await Ledger.transfer({
+      type: 'deposit',
+      cryptocurrency: 'ETH',
+      amount: eth(2),
+      from: Ledger.EXTERNAL,
+      to: Ledger.walletAccount('alice'),
+      player: player({ ETH: eth(2) })
+    });
+
+    assert.deepEqual(entries.map(e => [e.postingId, e.account, e.counterparty, e.amount, e.balanceAfter]), [
+      [postingId, 'external', 'player:alice', -eth(2), undefined],
+      [postingId, 'player:alice', 'external', eth(2), eth(2)]
+    ]);
+    assert.deepEqual(await Ledger.trialBalance(), { ETH: 0n });
+  });
+
+  it('rejects negative and fractional amounts and skips empty ones', async () => {
+    const move = (amount) => Ledger.transfer({ type: 'bet', cryptocurrency: 'USDT', amount, from: 'a', to: 'b' });
+
+    await assert.rejects(move(-1n), /must be positive base units/);
+    await assert.rejects(move(1.5), /must be positive base units/);
+    assert.equal(await move(0n), null);
+    assert.equal(entries.length, 0);
+  });
+
+  it('reconciles stored balances with the ledger', async () => {
+    const alice = player({ USDT: usdt(90) }, { USDT: usdt(10) });
+    await Ledger.postBalances(alice, { type: 'opening', from: Ledger.EXTERNAL });
+
+    assert.deepEqual(await Ledger.reconcile(alice), {
+      balanced: true,
+      ledger: { wallet: { BTC: 0n, ETH: 0n, USDT: usdt(90) }, heldFunds: { BTC: 0n, ETH: 0n, USDT: usdt(10) } },
+      discrepancies: []
+    });
+
+    // A wallet change that never reached the ledger, however small
+    alice.wallet.USDT += 1n;
+    const { balanced, discrepancies } = await Ledger.reconcile(alice);
+    assert.equal(balanced, false);
+    assert.deepEqual(discrepancies, [
+      { account: 'player:alice', cryptocurrency: 'USDT', stored: usdt(90) + 1n, ledger: usdt(90) }
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Player = require('../models/Player');
+const Units = require('../services/Units');
+
+describe('Units', () => {
+  it('parses decimal amounts exactly into base units', () => {
+    assert.equal(Units.parseUnits('0.1', 'BTC'), 10000000n);
+    assert.equal(Units.parseUnits(1.5, 'USDT'), 1500000n);
+    assert.equal(Units.parseUnits('123.000000000000000001', 'ETH'), 123000000000000000001n);
+    assert.equal(Units.parseUnits('1e-8', 'BTC'), 1n);
+    assert.throws(() => Units.parseUnits('0.000000001', 'BTC'), /more than 8 decimal places/);
+    assert.throws(() => Units.parseUnits('1,5', 'USDT'), /Invalid amount/);
+    assert.throws(() => Units.parseUnits('1', 'DOGE'), /Unsupported cryptocurrency/);
+  });
+
+  it('rounds computed amounts to the nearest base unit', () => {
+    assert.equal(Units.fromNumber(0.1 + 0.2, 'USDT'), 300000n);
+    assert.equal(Units.usdToUnits(10, 45000, 'BTC'), 22222n);
+    assert.throws(() => Units.fromNumber(Infinity, 'BTC'), /Invalid amount/);
+  });
+
+  it('formats base units back into decimal amounts', () => {
+    assert.equal(Units.formatUnits(123000000000000000001n, 'ETH'), '123.000000000000000001');
+    assert.equal(Units.formatUnits(-1500000n, 'USDT'), '-1.5');
+    assert.equal(Units.toNumber(1n, 'BTC'), 1e-8);
+    assert.deepEqual(Units.formatWallet({ BTC: 5n, USDT: 2000000n }), { BTC: 5e-8, ETH: 0, USDT: 2 });
+  });
+
+  it('rounds payouts and partial stakes down', () => {
+    assert.equal(Units.applyMultiplier(10000000n, 1.72), 17200000n);
+    assert.equal(Units.applyMultiplier(3n, 1.5), 4n);
+    assert.equal(Units.percentageOf(10000001n, 50), 5000000n);
+    assert.equal(Units.percentageOf(1000000n, 33.3333), 333333n);
+  });
+
+  it('stores amounts as Decimal128 and reads them back as BigInt', () => {
+    const wei = 10n ** 24n + 1n; // More than a 64-bit integer holds
+    const player = new Player({ playerId: 'alice', username: 'alice', wallet: { ETH: wei } });
+
+    assert.equal(player.wallet.ETH, wei);
+    assert.equal(player.wallet.USDT, 1000000000n);
+    assert.equal(player.toObject().wallet.ETH.toString(), wei.toString());
+    assert.equal(Units.toUnits(player.toObject().wallet.ETH), wei);
+  });
+});
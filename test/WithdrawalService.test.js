@@ -0,0 +1,180 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WithdrawalService = require('../services/WithdrawalService');
+const Ledger = require('../services/Ledger');
+const { createGame, usdt } = require('./helpers/game');
+
+// Players, transactions and the ledger from the game harness, with a payout
+// processor that answers at once: it succeeds unless given a failure message
+const setup = ({ autoApproveBelowUsd = 50, failure } = {}) => {
+  const game = createGame();
+  const events = [];
+  const io = {
+    to: (room) => ({
+      emit: (event, data) => events.push({ room, event, data })
+    })
+  };
+  const sent = [];
+  const processor = {
+    send: async (payout) => {
+      sent.push(payout);
+      if (failure) throw new Error(failure);
+      return { txHash: 'hash-1' };
+    }
+  };
+
+  const service = new WithdrawalService(io, {
+    processor,
+    cryptoService: { getPrice: async () => 1 },
+    autoApproveBelowUsd
+  });
+  const statuses = () => events.filter(e => e.event === 'withdrawal:updated').map(e => e.data.status);
+
+  return { ...game, service, events, sent, statuses };
+};
+
+const request = (amount) => ({ amount, cryptocurrency: 'usdt', address: ' 0xabc ' });
+const authenticated = { authenticated: true };
+
+describe('WithdrawalService', () => {
+  it('holds the amount of a withdrawal waiting for approval', async () => {
+    const { service, addPlayer, players, transactions, statuses, ledgerBalance } = setup();
+    await addPlayer('alice', 100);
+
+    const withdrawal = await service.request('alice', request(60));
+
+    assert.equal(withdrawal.status, 'pending');
+    assert.deepEqual([withdrawal.cryptoAmount, withdrawal.address], [60, '0xabc']);
+    assert.equal(players.get('alice').wallet.USDT, usdt(40));
+    assert.equal(players.get('alice').heldFunds.USDT, usdt(60));
+    assert.equal(ledgerBalance(Ledger.heldAccount('alice')), usdt(60));
+    assert.deepEqual(transactions.map(t => [t.type, t.status, t.cryptoAmount]), [['withdrawal', 'pending', usdt(60)]]);
+    assert.deepEqual(statuses(), ['pending']);
+  });
+
+  it('pays out an approved withdrawal to the address', async () => {
+    const { service, addPlayer, players, transactions, withdrawals, sent, statuses, ledgerBalance } = setup();
+    await addPlayer('alice', 100);
+    const { withdrawalId } = await service.request('alice', request(60));
+
+    const approved = await service.approve(withdrawalId);
+    await service.whenIdle();
+
+    assert.deepEqual([approved.status, approved.autoApproved], ['approved', false]);
+    assert.deepEqual(sent.map(p => [p.amount, p.address]), [['60', '0xabc']]);
+    assert.deepEqual([withdrawals[0].status, withdrawals[0].txHash], ['completed', 'hash-1']);
+    assert.deepEqual([transactions[0].status, transactions[0].transactionHash], ['completed', 'hash-1']);
+    assert.equal(players.get('alice').wallet.USDT, usdt(40));
+    assert.equal(players.get('alice').heldFunds.USDT, 0n);
+    assert.equal(ledgerBalance(Ledger.EXTERNAL), -usdt(40));
+    assert.deepEqual(statuses(), ['pending', 'approved', 'processing', 'completed']);
+  });
+
+  it('approves withdrawals under the threshold without review', async () => {
+    const { service, addPlayer, withdrawals, statuses } = setup();
+    await addPlayer('alice', 100);
+
+    const withdrawal = await service.request('alice', request(10), authenticated);
+    await service.whenIdle();
+
+    assert.deepEqual([withdrawal.status, withdrawal.autoApproved], ['approved', true]);
+    assert.equal(withdrawals[0].status, 'completed');
+    assert.deepEqual(statuses(), ['pending', 'approved', 'processing', 'completed']);
+  });
+
+  it('sends withdrawals of a caller not known to own the player to review', async () => {
+    const { service, addPlayer } = setup();
+    await addPlayer('alice', 100);
+
+    const withdrawal = await service.request('alice', request(10));
+
+    assert.deepEqual([withdrawal.status, withdrawal.autoApproved], ['pending', false]);
+  });
+
+  it('sends small withdrawals to review once together they reach the threshold', async () => {
+    const { service, addPlayer } = setup();
+    await addPlayer('alice', 100);
+
+    const first = await service.request('alice', request(20), authenticated);
+    const second = await service.request('alice', request(20), authenticated);
+    const third = await service.request('alice', request(20), authenticated);
+    await service.whenIdle();
+
+    assert.deepEqual([first.status, second.status, third.status], ['approved', 'approved', 'pending']);
+  });
+
+  it('counts only withdrawals in the window that were not rejected', async () => {
+    const { service, addPlayer, withdrawals } = setup();
+    await addPlayer('alice', 200);
+
+    await service.request('alice', request(40), authenticated);
+    await service.whenIdle();
+    const rejected = await service.request('alice', request(40), authenticated);
+    assert.equal(rejected.status, 'pending');
+    await service.reject(rejected.withdrawalId);
+
+    // The first withdrawal drops out of the window
+    withdrawals[0].createdAt = new Date(Date.now() - 25 * 60 * 60 * 1000);
+
+    const withdrawal = await service.request('alice', request(40), authenticated);
+    assert.equal(withdrawal.status, 'approved');
+  });
+
+  it('returns the funds of a rejected withdrawal', async () => {
+    const { service, addPlayer, players, transactions, sent, ledgerBalance } = setup();
+    await addPlayer('alice', 100);
+    const { withdrawalId } = await service.request('alice', request(60));
+
+    const rejected = await service.reject(withdrawalId, 'Address failed screening');
+
+    assert.deepEqual([rejected.status, rejected.reason], ['rejected', 'Address failed screening']);
+    assert.equal(players.get('alice').wallet.USDT, usdt(100));
+    assert.equal(players.get('alice').heldFunds.USDT, 0n);
+    assert.equal(ledgerBalance(Ledger.heldAccount('alice')), 0n);
+    assert.equal(transactions[0].status, 'failed');
+    assert.equal(sent.length, 0);
+
+    // A decided withdrawal cannot be decided again
+    await assert.rejects(service.approve(withdrawalId), { statusCode: 409 });
+    await assert.rejects(service.reject('wd_missing'), { statusCode: 404 });
+  });
+
+  it('returns the funds when the payout fails', async () => {
+    const { service, addPlayer, players, withdrawals, transactions, statuses } = setup({ failure: 'Network rejected the payout' });
+    await addPlayer('alice', 100);
+
+    await service.request('alice', request(10), authenticated);
+    await service.whenIdle();
+
+    assert.deepEqual([withdrawals[0].status, withdrawals[0].reason], ['failed', 'Network rejected the payout']);
+    assert.equal(transactions[0].status, 'failed');
+    assert.equal(players.get('alice').wallet.USDT, usdt(100));
+    assert.equal(players.get('alice').heldFunds.USDT, 0n);
+    assert.deepEqual(statuses(), ['pending', 'approved', 'processing', 'failed']);
+  });
+
+  it('refuses withdrawals the wallet does not cover', async () => {
+    const { service, addPlayer, players, withdrawals } = setup();
+    await addPlayer('alice', 100);
+
+    await assert.rejects(service.request('alice', request(150)), { statusCode: 400, message: 'Insufficient balance' });
+    await assert.rejects(service.request('alice', request('0.0000001')), { statusCode: 400 });
+    await assert.rejects(service.request('alice', { ...request(10), address: '' }), { statusCode: 400 });
+    await assert.rejects(service.request('bob', request(10)), { statusCode: 404 });
+
+    assert.equal(players.get('alice').wallet.USDT, usdt(100));
+    assert.equal(withdrawals.length, 0);
+  });
+
+  it('pays out withdrawals approved before a restart', async () => {
+    const { service, addPlayer, withdrawals } = setup();
+    await addPlayer('alice', 100);
+    const { withdrawalId } = await service.request('alice', request(60));
+    withdrawals[0].status = 'approved';
+
+    await service.resumeApproved();
+    await service.whenIdle();
+
+    assert.equal(withdrawals.find(w => w.withdrawalId === withdrawalId).status, 'completed');
+  });
+});
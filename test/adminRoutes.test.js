@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const GameConfig = require('../models/GameConfig');
+const TableRegistry = require('../services/TableRegistry');
+const adminRoutes = require('../routes/adminRoutes');
+const logger = require('../config/logger');
+
+logger.silent = true;
+
+const saved = new Map();
+GameConfig.findOneAndUpdate = async ({ tableId }, { $set }) => {
+  saved.set(tableId, { tableId, ...saved.get(tableId), ...$set });
+  return saved.get(tableId);
+};
+
+// The admin API over HTTP, with actions going through the registry of an
+// instance that leads
+describe('admin table config', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.ADMIN_API_KEY = 'test-key';
+
+    const registry = new TableRegistry({ to: () => ({ emit: () => {} }), on: () => {} });
+    registry.election.isLeader = true;
+
+    const app = express();
+    app.use(express.json());
+    app.set('tableRegistry', registry);
+    app.use('/api/admin', adminRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: 'Bearer test-key', 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('reads and schedules a table config change', async () => {
+    const updated = await request('PATCH', '/tables/low-stakes/config', { maxBet: 50 });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.pending, { maxBet: 50 });
+    assert.deepEqual(saved.get('low-stakes'), { tableId: 'low-stakes', maxBet: 50 });
+
+    const config = await request('GET', '/tables/low-stakes/config');
+    assert.equal(config.status, 200);
+    assert.equal(config.body.tableId, 'low-stakes');
+    assert.deepEqual(config.body.pending, { maxBet: 50 });
+  });
+
+  it('rejects an invalid change with 400', async () => {
+    const response = await request('PATCH', '/tables/low-stakes/config', { houseEdge: 1 });
+    assert.deepEqual(response, { status: 400, body: { error: 'houseEdge must be between 0 and 0.99' } });
+  });
+});
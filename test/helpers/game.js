@@ -0,0 +1,336 @@
+// Test harness: a GameManager on virtual time, with the Mongoose models it
+// touches replaced by in-memory stand-ins so no database is needed. The
+// stand-ins understand just the queries and updates the game makes, and
+// transactions roll them back when they fail.
+
+const mongoose = require('mongoose');
+const GameRound = require('../../models/GameRound');
+const Player = require('../../models/Player');
+const Transaction = require('../../models/Transaction');
+const QueuedBet = require('../../models/QueuedBet');
+const RoundEvent = require('../../models/RoundEvent');
+const GameConfig = require('../../models/GameConfig');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Withdrawal = require('../../models/Withdrawal');
+const logger = require('../../config/logger');
+const GameManager = require('../../services/GameManager');
+const Ledger = require('../../services/Ledger');
+const Units = require('../../services/Units');
+const { VirtualClock } = require('../../services/Clock');
+
+logger.silent = true;
+
+// Linear curve so multipliers are easy to state exactly: m(t) = 1 + 0.5t
+const TEST_TABLE = {
+  id: 'test',
+  name: 'Test',
+  minBet: 1,
+  maxBet: 100,
+  bettingWindow: 3000,
+  intermission: 3000,
+  tickInterval: 100,
+  houseEdge: 0.01,
+  maxCrash: 20,
+  curve: { type: 'linear', rate: 0.5 }
+};
+
+const START_TIME = 1000000;
+
+// Amounts are stored as BigInt, which is what the models' getters return
+const normalize = (value) => {
+  if (value instanceof mongoose.Types.Decimal128) return Units.toUnits(value);
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+};
+
+const clone = (doc) => structuredClone(normalize(doc));
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+// The query operators the game uses
+const matchesValue = (value, condition) => {
+  const isOperator = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+  if (!isOperator) return value === condition;
+
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$gte': return value >= arg;
+      case '$ne': return value !== arg;
+      case '$in': return arg.includes(value);
+      case '$not': return !matchesValue(value, arg);
+      case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, arg));
+      default: throw new Error(`Unsupported query operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, query) => Object.entries(query).every(([path, condition]) => matchesValue(getPath(doc, path), condition));
+
+// Resolve `bets.$.field` to the element the query's $elemMatch picked
+const resolvePositional = (doc, query, path) => {
+  if (!path.includes('.$.')) return path;
+
+  const [arrayPath] = path.split('.$.');
+  const index = getPath(doc, arrayPath).findIndex(item => matches(item, query[arrayPath].$elemMatch));
+  return path.replace('.$.', `.${index}.`);
+};
+
+// The update operators the game uses; plain fields are $set like Mongoose does
+const applyUpdate = (doc, query, update) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  for (const [op, fields] of Object.entries(operators)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const path = resolvePositional(doc, query, field);
+      const current = getPath(doc, path);
+      switch (op) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$inc': setPath(doc, path, (current ?? (typeof value === 'bigint' ? 0n : 0)) + normalize(value)); break;
+        case '$max': setPath(doc, path, Math.max(current ?? -Infinity, value)); break;
+        case '$push':
+          if (current === undefined) setPath(doc, path, []);
+          getPath(doc, path).push(clone(value));
+          break;
+        default: throw new Error(`Unsupported update operator ${op}`);
+      }
+    }
+  }
+};
+
+// In-memory collection of plain documents. Reads return copies, as a real
+// database would.
+const createCollection = () => {
+  const docs = [];
+  return {
+    docs,
+    find: (query) => docs.filter(doc => matches(doc, query)).map(clone),
+    findOne: (query) => {
+      const doc = docs.find(d => matches(d, query));
+      return doc ? clone(doc) : null;
+    },
+    insert: (doc) => {
+      docs.push(clone(doc));
+    },
+    updateOne: (query, update) => {
+      const doc = docs.find(d => matches(d, query));
+      if (doc) applyUpdate(doc, query, update);
+      return doc ? clone(doc) : null;
+    }
+  };
+};
+
+const plain = (doc) => {
+  const { _id, __v, ...rest } = doc.toObject();
+  return rest;
+};
+
+const installFakeModels = () => {
+  const playerStore = createCollection();
+  const roundStore = createCollection();
+  const queuedStore = createCollection();
+  const transactionStore = createCollection();
+  const withdrawalStore = createCollection();
+  const transactions = transactionStore.docs;
+  const roundEvents = [];
+  const gameConfigs = new Map();
+  const movements = []; // Bankroll movements
+  const ledgerEntries = [];
+
+  // Stored players by id, for assertions
+  const players = {
+    get: (playerId) => playerStore.docs.find(p => p.playerId === playerId),
+    get size() { return playerStore.docs.length; }
+  };
+
+  // Transactions are not isolated from each other, but an aborted one rolls
+  // every store back to where it began
+  const snapshot = () => clone({
+    players: playerStore.docs,
+    rounds: roundStore.docs,
+    queued: queuedStore.docs,
+    transactions,
+    withdrawals: withdrawalStore.docs,
+    movements,
+    ledgerEntries
+  });
+  const restore = (saved) => {
+    playerStore.docs.splice(0, Infinity, ...saved.players);
+    roundStore.docs.splice(0, Infinity, ...saved.rounds);
+    queuedStore.docs.splice(0, Infinity, ...saved.queued);
+    transactions.splice(0, Infinity, ...saved.transactions);
+    withdrawalStore.docs.splice(0, Infinity, ...saved.withdrawals);
+    movements.splice(0, Infinity, ...saved.movements);
+    ledgerEntries.splice(0, Infinity, ...saved.ledgerEntries);
+  };
+  mongoose.connection.transaction = async (fn) => {
+    const saved = snapshot();
+    try {
+      return await fn({});
+    } catch (error) {
+      restore(saved);
+      throw error;
+    }
+  };
+
+  const updateResult = (doc) => ({ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 });
+
+  Player.findOne = async (query) => {
+    const doc = playerStore.findOne(query);
+    return doc && Player.hydrate(doc);
+  };
+  Player.findOneAndUpdate = async (query, update) => playerStore.updateOne(query, update);
+  Player.updateOne = async (query, update) => updateResult(playerStore.updateOne(query, update));
+  Player.prototype.save = async function () {
+    playerStore.insert(plain(this));
+    return this;
+  };
+
+  GameRound.find = async () => [];
+  GameRound.updateOne = async (query, update) => updateResult(roundStore.updateOne(query, update));
+  GameRound.prototype.save = async function () {
+    roundStore.insert(plain(this));
+    return this;
+  };
+
+  Transaction.create = async (docs) => {
+    transactions.push(...docs.map(clone));
+    return docs;
+  };
+  Transaction.updateOne = async (query, update) => updateResult(transactionStore.updateOne(query, update));
+
+  Withdrawal.find = async (query) => withdrawalStore.find(query).map(doc => Withdrawal.hydrate(doc));
+  Withdrawal.findOne = async (query) => {
+    const doc = withdrawalStore.findOne(query);
+    return doc && Withdrawal.hydrate(doc);
+  };
+  Withdrawal.findOneAndUpdate = async (query, update) => {
+    const doc = withdrawalStore.updateOne(query, update);
+    return doc && Withdrawal.hydrate(doc);
+  };
+  Withdrawal.create = async (docs) => docs.map(data => {
+    const withdrawal = new Withdrawal({ createdAt: new Date(), ...data });
+    withdrawalStore.insert(plain(withdrawal));
+    return withdrawal;
+  });
+
+  LedgerEntry.insertMany = async (docs) => {
+    ledgerEntries.push(...docs.map(clone));
+    return docs;
+  };
+
+  QueuedBet.find = (query) => ({
+    sort: async () => queuedStore.find(query).map(doc => QueuedBet.hydrate(doc))
+  });
+  QueuedBet.findOne = async (query) => {
+    const doc = queuedStore.findOne(query);
+    return doc && QueuedBet.hydrate(doc);
+  };
+  QueuedBet.findOneAndUpdate = async (query, update) => {
+    const doc = queuedStore.updateOne(query, update);
+    return doc && QueuedBet.hydrate(doc);
+  };
+  QueuedBet.create = async (docs) => docs.map(data => {
+    const queued = new QueuedBet(data);
+    queuedStore.insert(plain(queued));
+    return queued;
+  });
+
+  RoundEvent.create = async (data) => {
+    roundEvents.push(data);
+    return data;
+  };
+  RoundEvent.findOne = (query) => ({
+    sort: async () => roundEvents.filter(e => matches(e, query)).sort((a, b) => b.seq - a.seq)[0] || null
+  });
+
+  GameConfig.findOneAndUpdate = async ({ tableId }, { $set }) => {
+    gameConfigs.set(tableId, { tableId, ...gameConfigs.get(tableId), ...$set });
+    return gameConfigs.get(tableId);
+  };
+
+  return {
+    players,
+    rounds: roundStore.docs,
+    transactions,
+    queuedBets: queuedStore.docs,
+    withdrawals: withdrawalStore.docs,
+    roundEvents,
+    gameConfigs,
+    movements,
+    ledgerEntries
+  };
+};
+
+// Bankroll stand-in that records every movement and never caps a round
+const createFakeBankroll = (movements) => ({
+  movements,
+  recordBet: async (cryptocurrency, amount) => { movements.push({ type: 'bet', cryptocurrency, amount }); },
+  recordPayout: async (cryptocurrency, amount) => { movements.push({ type: 'payout', cryptocurrency, amount }); },
+  recordRefund: async (cryptocurrency, amount) => { movements.push({ type: 'refund', cryptocurrency, amount }); },
+  maxRoundPayout: () => Infinity,
+  roundCaps: () => ({})
+});
+
+// Base units of a USDT amount
+const usdt = (amount) => Units.parseUnits(amount, 'USDT');
+
+// A game whose rounds always crash at `crashPoint`, priced at $1 per unit so
+// USD and crypto amounts are the same
+const createGame = ({ crashPoint = 2.5, table = {} } = {}) => {
+  const { movements, ...stores } = installFakeModels();
+  const clock = new VirtualClock(START_TIME);
+  const bankroll = createFakeBankroll(movements);
+
+  const events = [];
+  const io = {
+    to: (room) => ({
+      emit: (event, data) => events.push({ room, event, data })
+    })
+  };
+
+  const manager = new GameManager(io, { ...TEST_TABLE, ...table }, { bankroll, clock });
+  let chainIndex = 0;
+  manager.seedChain = {
+    next: async () => ({ seed: `seed-${++chainIndex}`, chainId: 'chain-test', chainIndex }),
+    activeSince: () => new Date(START_TIME),
+    getCommitment: () => null
+  };
+  manager.cryptoService = { getPrice: async () => 1 };
+  manager.crashDistribution = { houseEdge: 0.01, maxCrash: 20, calculate: () => crashPoint };
+
+  const addPlayer = async (playerId, balance = 100) => {
+    const player = new Player({ playerId, username: playerId, wallet: { BTC: 0n, ETH: 0n, USDT: usdt(balance) } });
+    await player.save();
+    await Ledger.postBalances(player, { type: 'opening', from: Ledger.EXTERNAL });
+    return player;
+  };
+
+  // Balance of a ledger account, summed from its entries
+  const ledgerBalance = (account, cryptocurrency = 'USDT') => stores.ledgerEntries
+    .filter(e => e.account === account && e.cryptocurrency === cryptocurrency)
+    .reduce((sum, e) => sum + e.amount, 0n);
+
+  // Open betting, then optionally let the betting window run out
+  const startRound = () => manager.startNewRound();
+  const startGamePhase = () => clock.advance(manager.table.bettingWindow);
+  const elapsed = () => clock.now() - manager.gameStartTime;
+  const eventsNamed = (name) => events.filter(e => e.event === name).map(e => e.data);
+
+  return { manager, clock, bankroll, events, addPlayer, startRound, startGamePhase, elapsed, eventsNamed, ledgerBalance, ...stores };
+};
+
+module.exports = { createGame, usdt, TEST_TABLE };